@@ -0,0 +1,249 @@
+/**
+ * @file beadPattern.js
+ * @description Bead patterns: draw and chart the grid as loom, peyote or
+ * brick stitch beadwork
+ * Cylinder beads are about 1.3 mm along the hole and 1.6 mm across. Loom and
+ * peyote beads lie with the hole across the piece, so they are narrower than
+ * they are tall; brick stitch beads stand with the hole upright, so they are
+ * wider. Peyote shifts every second column down half a bead, brick stitch
+ * shifts every second row right half a bead. Beads come from getKnottedCells(),
+ * so empty cells use the background color.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { onHistoryChange } from './history.js';
+import { generateColorMapping, generateKnotInstructions, copyToClipboard } from './export.js';
+import { getKnottedCells } from './braceletPreview.js';
+import { getContrastColor, shadeColor } from '../utils/colorUtils.js';
+import { downloadCanvas, roundRect, onNextFrame } from '../utils/canvas.js';
+
+/** Bead size in grid units and which lines are offset for each stitch */
+export const BEAD_STYLES = {
+    loom: { name: 'Loom', width: 0.8, height: 1, offset: null },
+    peyote: { name: 'Peyote', width: 0.8, height: 1, offset: 'column' },
+    brick: { name: 'Brick stitch', width: 1, height: 0.8, offset: 'row' },
+};
+
+const PREVIEW_WIDTH = 260;       // Target width of the panel preview in CSS pixels
+const PREVIEW_MAX_UNIT = 14;
+const EXPORT_UNIT = 28;          // Bead height (loom/peyote) or width (brick) in the exported PNG
+const PAPER_COLOR = '#ffffff';
+
+/**
+ * Wire the bead pattern panel
+ */
+export function initBeadPattern() {
+    const styleSelect = document.getElementById('beadStyleSelect');
+    if (styleSelect) styleSelect.value = state.beads.style;
+
+    styleSelect?.addEventListener('change', () => {
+        state.beads.style = BEAD_STYLES[styleSelect.value] ? styleSelect.value : 'loom';
+        renderBeadPattern();
+    });
+    document.getElementById('copyBeadChartBtn')?.addEventListener('click', () => copyToClipboard('beadWordChart'));
+    document.getElementById('downloadBeadChartBtn')?.addEventListener('click', downloadBeadChart);
+
+    onHistoryChange(onNextFrame(renderBeadPattern));
+    renderBeadPattern();
+}
+
+/**
+ * Bead counts for the current grid, empty cells counted as the background
+ * @returns {Array} [{color, letter, count}] in letter order
+ */
+export function getBeadCounts() {
+    const { colorMap } = generateColorMapping();
+    const cells = getKnottedCells();
+    if (!cells) return [];
+
+    const counts = new Map();
+    cells.forEach((line) => line.forEach((color) => counts.set(color, (counts.get(color) || 0) + 1)));
+    return [...counts.entries()]
+        .map(([color, count]) => ({ color, letter: colorMap[color], count }))
+        .sort((a, b) => a.letter.localeCompare(b.letter));
+}
+
+/**
+ * Build the word chart: the beads to pick up, row by row, in stitching order
+ * Loom rows are all read left to right. Brick stitch starts with a ladder row
+ * and alternates direction. Peyote strings rows 1 and 2 together (the whole
+ * first grid row), then each stitched row picks up every second bead,
+ * alternating direction.
+ * @param {string} [style=state.beads.style] - Key of BEAD_STYLES
+ * @returns {Object|null} null when nothing is painted, otherwise
+ *   {style, name, width, height, notes: [string], rows: [{label, direction, runs: [{color, letter, count}]}]}
+ */
+export function generateBeadChart(style = state.beads.style) {
+    const cells = getKnottedCells();
+    if (!cells) return null;
+
+    const { colorMap } = generateColorMapping();
+    const width = state.gridWidth;
+    const height = state.gridHeight;
+    const row = (label, direction, colors) => ({
+        label,
+        direction,
+        runs: toRuns(direction === 'right' ? colors : colors.slice().reverse(), colorMap),
+    });
+    const notes = [];
+    let rows;
+
+    if (style === 'peyote') {
+        rows = [row('Rows 1 & 2', 'right', cells[0])];
+        // Stitched row n sits (n - 1) / 2 beads down: grid row floor((n - 1) / 2), every second column
+        for (let n = 3; n <= height * 2; n++) {
+            const gridRow = Math.floor((n - 1) / 2);
+            const parity = (n - 1) % 2;
+            const beads = cells[gridRow].filter((_, col) => col % 2 === parity);
+            rows.push(row(`Row ${n}`, n % 2 === 1 ? 'left' : 'right', beads));
+        }
+        if (width % 2 === 0) {
+            notes.push(`Even-count peyote, ${width} beads wide: ${width / 2} beads per stitched row.`);
+        } else {
+            notes.push(`Odd-count peyote, ${width} beads wide: every second row ends with no bead to step up into, so finish it with an odd-count turn (such as the figure-eight turn).`);
+        }
+        notes.push('String rows 1 & 2 together, then add one bead in every second space per row. Columns 2, 4, 6… sit half a bead lower.');
+    } else if (style === 'brick') {
+        rows = cells.map((colors, r) => row(r === 0 ? 'Row 1 (ladder)' : `Row ${r + 1}`, r % 2 === 0 ? 'right' : 'left', colors));
+        notes.push(`Brick stitch, ${width} beads wide. Make a ladder of row 1, then attach each row to the thread bridges of the row before. Rows 2, 4, 6… sit half a bead to the right.`);
+    } else {
+        rows = cells.map((colors, r) => row(`Row ${r + 1}`, 'right', colors));
+        notes.push(`Loom, ${width} beads wide: warp ${width + 1} threads. Each row is one weft pass; pick up the beads left to right.`);
+    }
+
+    return { style, name: BEAD_STYLES[style].name, width, height, notes, rows };
+}
+
+/**
+ * Generate the bead counts and word chart as text
+ * @param {string} [style=state.beads.style] - Key of BEAD_STYLES
+ * @returns {string}
+ */
+export function generateBeadChartText(style = state.beads.style) {
+    const chart = generateBeadChart(style);
+    if (!chart) {
+        return '(Paint some cells to get a bead chart)';
+    }
+
+    const { background } = generateKnotInstructions();
+    const counts = getBeadCounts();
+    const total = counts.reduce((sum, c) => sum + c.count, 0);
+    const lines = [
+        `${chart.name} – ${chart.width} × ${chart.height} beads`,
+        ...chart.notes,
+        '',
+        `Beads (${total}):`,
+        ...counts.map(({ color, letter, count }) => `  ${letter} = ${color}: ${count}${color === background.color ? ' (background)' : ''}`),
+        '',
+    ];
+    chart.rows.forEach(({ label, direction, runs }) => {
+        lines.push(`${label} ${direction === 'right' ? '→' : '←'} ${runs.map((run) => `${run.count} ${run.letter}`).join(', ')}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Draw the grid as beads onto a canvas
+ * @param {HTMLCanvasElement} canvas - Target; resized to fit
+ * @param {number} unit - Size of one grid unit in CSS pixels
+ * @param {number} [ratio=1] - Device pixel ratio
+ * @param {Object} [options]
+ * @param {string} [options.style=state.beads.style] - Key of BEAD_STYLES
+ * @param {boolean} [options.letters=false] - Print the color letter on each bead
+ * @returns {boolean} False when nothing is painted
+ */
+export function drawBeads(canvas, unit, ratio = 1, { style = state.beads.style, letters = false } = {}) {
+    const shape = BEAD_STYLES[style] || BEAD_STYLES.loom;
+    const beadWidth = shape.width * unit;
+    const beadHeight = shape.height * unit;
+    const margin = Math.max(2, unit * 0.25);
+    const width = state.gridWidth * beadWidth + (shape.offset === 'row' ? beadWidth / 2 : 0) + margin * 2;
+    const height = state.gridHeight * beadHeight + (shape.offset === 'column' ? beadHeight / 2 : 0) + margin * 2;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = `${Math.round(width)}px`;
+    canvas.style.height = `${Math.round(height)}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = PAPER_COLOR;
+    ctx.fillRect(0, 0, width, height);
+
+    const cells = getKnottedCells();
+    if (!cells) return false;
+
+    const { colorMap } = generateColorMapping();
+    const gap = unit * 0.06;
+    ctx.lineWidth = Math.max(0.5, unit * 0.05);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${Math.round(Math.min(beadWidth, beadHeight) * 0.55)}px sans-serif`;
+
+    cells.forEach((line, row) => {
+        line.forEach((color, col) => {
+            const x = margin + col * beadWidth + (shape.offset === 'row' && row % 2 === 1 ? beadWidth / 2 : 0);
+            const y = margin + row * beadHeight + (shape.offset === 'column' && col % 2 === 1 ? beadHeight / 2 : 0);
+            roundRect(ctx, x + gap, y + gap, beadWidth - gap * 2, beadHeight - gap * 2, Math.min(beadWidth, beadHeight) * 0.3);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.strokeStyle = shadeColor(color, -0.3);
+            ctx.stroke();
+
+            if (letters) {
+                ctx.fillStyle = getContrastColor(color);
+                ctx.fillText(colorMap[color], x + beadWidth / 2, y + beadHeight / 2);
+            }
+        });
+    });
+    return true;
+}
+
+/**
+ * Render the bead preview, counts and word chart in the panel
+ */
+export function renderBeadPattern() {
+    const canvas = document.getElementById('beadPreviewCanvas');
+    if (canvas && state.gridWidth > 0) {
+        const unit = Math.max(3, Math.min(PREVIEW_MAX_UNIT, Math.floor(PREVIEW_WIDTH / (state.gridWidth + 1))));
+        drawBeads(canvas, unit, window.devicePixelRatio || 1);
+    }
+
+    const countsEl = document.getElementById('beadCounts');
+    if (countsEl) {
+        const counts = getBeadCounts();
+        countsEl.innerHTML = counts.map(({ color, letter, count }) => `
+            <span class="bead-count"><span class="bead-swatch" style="background-color: ${color};"></span>${letter} × ${count}</span>
+        `).join('');
+    }
+
+    const chart = document.getElementById('beadWordChart');
+    if (chart) chart.value = generateBeadChartText();
+}
+
+/**
+ * Download the bead chart, with letters on every bead, as a PNG
+ */
+export function downloadBeadChart() {
+    const canvas = document.createElement('canvas');
+    if (!drawBeads(canvas, EXPORT_UNIT, 1, { letters: true })) {
+        showNotification('Paint some cells to export a bead chart.', 'info');
+        return;
+    }
+
+    downloadCanvas(canvas, `bead-chart-${state.beads.style}.png`, 'Bead chart downloaded!');
+}
+
+function toRuns(colors, colorMap) {
+    const runs = [];
+    colors.forEach((color) => {
+        const last = runs[runs.length - 1];
+        if (last && last.color === color) {
+            last.count++;
+        } else {
+            runs.push({ color, letter: colorMap[color], count: 1 });
+        }
+    });
+    return runs;
+}
@@ -0,0 +1,214 @@
+/**
+ * @file braceletPreview.js
+ * @description Knotted preview: draws the design as it looks tied, with oval
+ * knots in slightly offset rows, thread shading and braided ends
+ * Empty cells are drawn in the background color, since that is the string
+ * they are tied with.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { onHistoryChange } from './history.js';
+import { generateKnotInstructions } from './export.js';
+import { shadeColor } from '../utils/colorUtils.js';
+import { downloadCanvas, roundRect, onNextFrame } from '../utils/canvas.js';
+
+const PREVIEW_WIDTH = 260;       // Target width of the panel preview in CSS pixels
+const PREVIEW_MAX_CELL = 14;
+const EXPORT_CELL = 28;          // Knot width in the exported PNG
+const ROW_HEIGHT = 0.8;          // Knot rows overlap, so a row is shorter than a knot is wide
+const ROW_OFFSET = 0.3;          // Brick offset of every second row
+const BRAID_LENGTH = 7;          // In knot widths
+const BRAID_COUNT = 3;
+const PAPER_COLOR = '#fbf8f3';
+
+/**
+ * Wire the knotted preview panel
+ */
+export function initBraceletPreview() {
+    document.getElementById('downloadPreviewBtn')?.addEventListener('click', downloadBraceletPreview);
+
+    // Re-draw once per change rather than on every painted cell
+    onHistoryChange(onNextFrame(renderBraceletPreview));
+    renderBraceletPreview();
+}
+
+/**
+ * The design as it is tied, with empty cells in the background color
+ * @param {Array<Array<string|null>>} [grid=state.gridData] - The design, or rows built from it
+ * @returns {Array<Array<string>>|null} New 2D array, or null when nothing is painted
+ */
+export function getKnottedCells(grid = state.gridData) {
+    const { background } = generateKnotInstructions();
+    if (!background) return null;
+    return grid.map((line) => line.map((color) => color || background.color));
+}
+
+/**
+ * Draw the knotted preview in the side panel
+ */
+export function renderBraceletPreview() {
+    const canvas = document.getElementById('braceletPreviewCanvas');
+    if (!canvas || state.gridWidth === 0) return;
+
+    const cell = Math.max(3, Math.min(PREVIEW_MAX_CELL, Math.floor(PREVIEW_WIDTH / (state.gridWidth + 4))));
+    drawBracelet(canvas, cell, window.devicePixelRatio || 1);
+}
+
+/**
+ * Draw the knotted preview onto a canvas
+ * @param {HTMLCanvasElement} canvas - Target; resized to fit
+ * @param {number} cell - Knot width in CSS pixels
+ * @param {number} [ratio=1] - Device pixel ratio
+ * @returns {boolean} False when nothing is painted
+ */
+export function drawBracelet(canvas, cell, ratio = 1) {
+    const { background } = generateKnotInstructions();
+    const rows = state.gridHeight;
+    const cols = state.gridWidth;
+    const rowHeight = cell * ROW_HEIGHT;
+    const offset = cell * ROW_OFFSET;
+    const margin = cell * 1.5;
+    const braid = cell * BRAID_LENGTH;
+    const bandWidth = cols * cell + offset;
+    const bandTop = margin + braid;
+    const bandBottom = bandTop + rows * rowHeight + rowHeight * 0.3;
+    const width = bandWidth + margin * 2;
+    const height = bandBottom + braid + margin;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = `${Math.round(width)}px`;
+    canvas.style.height = `${Math.round(height)}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = PAPER_COLOR;
+    ctx.fillRect(0, 0, width, height);
+    const cells = getKnottedCells();
+    if (!cells) return false;
+
+    const base = background.color;
+    const endColors = [...new Set([...state.gridData[0], ...state.gridData[rows - 1]].filter(Boolean))];
+    const braidColors = [base, ...endColors.filter((color) => color !== base)];
+
+    drawEnd(ctx, { x: margin, width: bandWidth, y: bandTop, length: braid, direction: -1, cell, colors: braidColors });
+    drawEnd(ctx, { x: margin, width: bandWidth, y: bandBottom, length: braid, direction: 1, cell, colors: braidColors });
+
+    // Band behind the knots, with a soft shadow
+    ctx.save();
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+    ctx.shadowBlur = cell;
+    ctx.shadowOffsetY = cell * 0.25;
+    ctx.fillStyle = shadeColor(base, -0.25);
+    roundRect(ctx, margin, bandTop - rowHeight * 0.2, bandWidth, bandBottom - bandTop + rowHeight * 0.2, cell * 0.4);
+    ctx.fill();
+    ctx.restore();
+
+    // Top to bottom, so each row sits over the one above like tied knots
+    for (let row = 0; row < rows; row++) {
+        const forward = row % 2 === 0;
+        const y = bandTop + row * rowHeight + rowHeight / 2;
+        for (let col = 0; col < cols; col++) {
+            const x = margin + col * cell + (forward ? 0 : offset) + cell / 2;
+            drawKnot(ctx, x, y, cell, rowHeight, cells[row][col], forward);
+        }
+    }
+    return true;
+}
+
+/**
+ * Download a large knotted preview as a PNG
+ */
+export function downloadBraceletPreview() {
+    const canvas = document.createElement('canvas');
+    if (!drawBracelet(canvas, EXPORT_CELL)) {
+        showNotification('Paint some cells to export a preview.', 'info');
+        return;
+    }
+
+    downloadCanvas(canvas, 'bracelet-preview.png', 'Preview downloaded!');
+}
+
+// One knot: a shaded oval with twist lines that lean with the knotting direction
+function drawKnot(ctx, x, y, cell, rowHeight, color, forward) {
+    const rx = cell * 0.54;
+    const ry = rowHeight * 0.66;
+    const tilt = forward ? 0.18 : -0.18;
+
+    const gradient = ctx.createRadialGradient(x - rx * 0.3, y - ry * 0.4, 0, x, y, rx * 1.1);
+    gradient.addColorStop(0, shadeColor(color, 0.35));
+    gradient.addColorStop(0.55, color);
+    gradient.addColorStop(1, shadeColor(color, -0.35));
+
+    ctx.beginPath();
+    ctx.ellipse(x, y, rx, ry, tilt, 0, Math.PI * 2);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    ctx.save();
+    ctx.clip();
+    ctx.strokeStyle = shadeColor(color, -0.45);
+    ctx.globalAlpha = 0.35;
+    ctx.lineWidth = Math.max(0.5, cell * 0.06);
+    const lean = forward ? 1 : -1;
+    for (let i = -1; i <= 1; i++) {
+        const dx = i * rx * 0.55;
+        ctx.beginPath();
+        ctx.moveTo(x + dx - lean * rx * 0.5, y - ry);
+        ctx.quadraticCurveTo(x + dx, y, x + dx + lean * rx * 0.5, y + ry);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// Tied-off end: the strings gather from the band into braids with loose tips
+function drawEnd(ctx, { x, width, y, length, direction, cell, colors }) {
+    const gather = cell * 1.5;
+    const spread = Math.min(width * 0.6, BRAID_COUNT * cell * 1.4);
+    const left = x + (width - spread) / 2;
+    const strandWidth = spread / BRAID_COUNT;
+
+    // Funnel where the strings leave the band
+    ctx.beginPath();
+    ctx.moveTo(x + cell * 0.2, y);
+    ctx.lineTo(x + width - cell * 0.2, y);
+    ctx.lineTo(left + spread, y + direction * gather);
+    ctx.lineTo(left, y + direction * gather);
+    ctx.closePath();
+    ctx.fillStyle = shadeColor(colors[0], -0.1);
+    ctx.fill();
+
+    for (let b = 0; b < BRAID_COUNT; b++) {
+        const cx = left + strandWidth * (b + 0.5);
+        const start = y + direction * gather;
+        const links = Math.max(3, Math.floor((length - gather - cell) / (cell * 0.55)));
+        const step = (length - gather - cell) / links;
+
+        for (let i = 0; i < links; i++) {
+            const cy = start + direction * (i + 0.5) * step;
+            const taper = 1 - (i / links) * 0.35;
+            const side = i % 2 === 0 ? 1 : -1;
+            const color = colors[(b + i) % colors.length];
+            ctx.beginPath();
+            ctx.ellipse(cx + side * strandWidth * 0.12, cy, strandWidth * 0.32 * taper, step * 0.75, side * 0.5, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.strokeStyle = shadeColor(color, -0.35);
+            ctx.lineWidth = Math.max(0.5, cell * 0.05);
+            ctx.stroke();
+        }
+
+        // Loose tips past the braid
+        const tipStart = start + direction * links * step;
+        ctx.lineWidth = Math.max(0.5, cell * 0.08);
+        ctx.lineCap = 'round';
+        [-1, 0, 1].forEach((spreadDir, i) => {
+            ctx.strokeStyle = colors[(b + i) % colors.length];
+            ctx.beginPath();
+            ctx.moveTo(cx, tipStart);
+            ctx.lineTo(cx + spreadDir * strandWidth * 0.25, tipStart + direction * cell * 0.9);
+            ctx.stroke();
+        });
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * @file colorTools.js
+ * @description Eyedropper and color replacement
+ * The eyedropper picks a cell's color into state.selectedColor, adding it to
+ * the palette if needed. Replace swaps every occurrence of one color with
+ * another on the active layer, or only inside the selection when there is one.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { recordChange } from './history.js';
+import { renderPalette, selectColor } from './palette.js';
+import { renderGridCells } from './gridRenderer.js';
+import { updateExport } from './export.js';
+import { isInRect } from './selection.js';
+import { canEditActiveLayer, getActiveLayer, getEditableGrid, updateActiveLayer } from './layers.js';
+
+/**
+ * Wire the replace-color controls
+ */
+export function initColorTools() {
+    document.getElementById('replaceColorBtn')?.addEventListener('click', handleReplaceColor);
+}
+
+/**
+ * Select the color of a cell as the brush color
+ * Matches palette entries case-insensitively; unknown colors are added.
+ * @param {number} row
+ * @param {number} col
+ * @returns {boolean} True if a color was picked
+ */
+export function pickColorAt(row, col) {
+    const hex = state.gridData[row]?.[col];
+    if (!hex) {
+        showNotification('That cell is empty – nothing to pick.', 'info', 1500);
+        return false;
+    }
+
+    const existing = findPaletteColor(hex);
+    if (existing) {
+        selectColor(existing);
+    } else {
+        recordChange('Pick color', () => {
+            state.palette.push({ hex, label: `Color ${state.palette.length + 1}` });
+            state.selectedColor = state.palette[state.palette.length - 1];
+        });
+        renderPalette();
+        showNotification(`Added ${hex} to the palette.`, 'success', 1500);
+    }
+
+    renderReplaceOptions();
+    return true;
+}
+
+/**
+ * Replace every cell of one color with another on the active layer
+ * @param {string} fromHex - Color to replace
+ * @param {string|null} toHex - New color, or null to clear the cells
+ * @param {Object|null} rect - Limit to this {row, col, width, height}; null for the whole grid
+ * @returns {number[][]} Changed cells as [row, col] pairs
+ */
+export function replaceColor(fromHex, toHex, rect = null) {
+    const from = fromHex?.toLowerCase();
+    const to = toHex ? toHex.toLowerCase() : null;
+    if (!from || from === to) return [];
+
+    const cells = [];
+    getEditableGrid().forEach((rowData, row) => {
+        rowData.forEach((color, col) => {
+            if (color && color.toLowerCase() === from && (!rect || isInRect(rect, row, col))) {
+                cells.push([row, col]);
+            }
+        });
+    });
+    if (cells.length === 0) return cells;
+
+    recordChange(rect ? 'Replace color in selection' : 'Replace color', () => {
+        updateActiveLayer((grid) => {
+            cells.forEach(([row, col]) => {
+                grid[row][col] = toHex;
+            });
+        });
+    });
+    return cells;
+}
+
+/**
+ * Replace-tool click: swap the clicked cell's color for the brush color
+ * Limited to the selection when one exists.
+ * @param {number} row
+ * @param {number} col
+ */
+export function replaceColorAt(row, col) {
+    const fromHex = state.gridData[row]?.[col];
+    if (!fromHex) {
+        showNotification('Click a painted cell to replace its color.', 'info', 1500);
+        return;
+    }
+    if (!state.selectedColor) {
+        showNotification('Please add a color to the palette first.', 'warning');
+        return;
+    }
+    applyReplace(fromHex, state.selectedColor.hex);
+}
+
+/**
+ * Fill the "from" and "to" selects with the colors in use and the palette
+ */
+export function renderReplaceOptions() {
+    const fromSelect = document.getElementById('replaceFromSelect');
+    const toSelect = document.getElementById('replaceToSelect');
+    if (!fromSelect || !toSelect) return;
+
+    const used = getUsedColors();
+    const previousFrom = fromSelect.value;
+    fromSelect.innerHTML = used.length === 0
+        ? '<option value="">No colors on the grid</option>'
+        : used.map((hex) => `<option value="${hex}">${describeColor(hex)}</option>`).join('');
+    if (used.includes(previousFrom)) fromSelect.value = previousFrom;
+
+    const previousTo = toSelect.value;
+    toSelect.innerHTML = state.palette
+        .map((color) => `<option value="${color.hex}">${describeColor(color.hex)}</option>`)
+        .join('') + '<option value="">Empty (erase)</option>';
+    toSelect.value = previousTo && state.palette.some((c) => c.hex === previousTo)
+        ? previousTo
+        : (state.selectedColor?.hex || '');
+}
+
+function handleReplaceColor() {
+    const fromHex = document.getElementById('replaceFromSelect')?.value;
+    const toHex = document.getElementById('replaceToSelect')?.value || null;
+    if (!fromHex) {
+        showNotification('There are no colors on the grid to replace.', 'info');
+        return;
+    }
+    applyReplace(fromHex, toHex);
+}
+
+function applyReplace(fromHex, toHex) {
+    if (!canEditActiveLayer()) return;
+    const cells = replaceColor(fromHex, toHex, state.selection);
+    if (cells.length === 0) {
+        const where = `${state.selection ? 'the selection on ' : ''}the ${getActiveLayer()?.name || 'active'} layer`;
+        showNotification(`That color is not on ${where}.`, 'info', 1500);
+        return;
+    }
+
+    renderGridCells(cells);
+    updateExport();
+    renderReplaceOptions();
+    showNotification(`Replaced ${cells.length} cell${cells.length === 1 ? '' : 's'}.`, 'success', 1500);
+}
+
+function findPaletteColor(hex) {
+    return state.palette.find((c) => c.hex.toLowerCase() === hex.toLowerCase()) || null;
+}
+
+function getUsedColors() {
+    const used = new Set();
+    state.gridData.forEach((row) => row.forEach((color) => {
+        if (color) used.add(color);
+    }));
+    return Array.from(used);
+}
+
+function describeColor(hex) {
+    const entry = findPaletteColor(hex);
+    return entry?.label ? `${entry.label} (${hex})` : hex;
+}
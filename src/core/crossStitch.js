@@ -0,0 +1,170 @@
+/**
+ * @file crossStitch.js
+ * @description Cross-stitch chart: a symbol per color, bold gridlines every
+ * 10 stitches, the chart tiled across printable pages and a floss legend
+ * Each grid cell is one full cross; empty cells are left unstitched. Colors
+ * snapped to floss keep their thread; other colors get the nearest DMC.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { generateColorMapping } from './export.js';
+import { loadFlossCatalog, findNearestFloss } from './floss.js';
+import { getContrastColor } from '../utils/colorUtils.js';
+
+/** Chart symbols in the order colors are given them (letters after these run out) */
+export const CROSS_STITCH_SYMBOLS = [
+    '●', '■', '▲', '◆', '★', '✚', '✖', '♥', '○', '□', '△', '◇', '☆', '♠', '♣', '♦',
+    '▼', '◀', '▶', '◐', '◑', '☀', '☾', '♪', '∞', 'Ω', '#', '@', '%', '=', '+', '/',
+];
+
+/** Stitches per printed page */
+export const PAGE_COLUMNS = 50;
+export const PAGE_ROWS = 60;
+
+const MAJOR_EVERY = 10;
+const AIDA_COUNT = 14;           // Stitches per inch of the fabric size estimate
+
+/**
+ * One entry per color: symbol, stitch count and floss
+ * @param {Object|null} catalog - DMC catalogue from loadFlossCatalog() for colors
+ *   not snapped to floss, or null to leave them without one
+ * @returns {Array} [{color, letter, symbol, count, floss}] in letter order; floss is {brand, code, name} or null
+ */
+export function getCrossStitchKey(catalog) {
+    const { colorMap, usedColors } = generateColorMapping();
+    const counts = {};
+    state.gridData.forEach((line) => line.forEach((color) => {
+        if (color) counts[color] = (counts[color] || 0) + 1;
+    }));
+
+    return usedColors.map((color, i) => ({
+        color,
+        letter: colorMap[color],
+        symbol: CROSS_STITCH_SYMBOLS[i] || colorMap[color],
+        count: counts[color],
+        floss: getFloss(color, catalog),
+    }));
+}
+
+/**
+ * Split the chart into printable pages, numbered row by row from the top left
+ * @returns {Array} [{number, top, left, width, height}]
+ */
+export function splitIntoPages() {
+    const pages = [];
+    for (let top = 0; top < state.gridHeight; top += PAGE_ROWS) {
+        for (let left = 0; left < state.gridWidth; left += PAGE_COLUMNS) {
+            pages.push({
+                number: pages.length + 1,
+                top,
+                left,
+                width: Math.min(PAGE_COLUMNS, state.gridWidth - left),
+                height: Math.min(PAGE_ROWS, state.gridHeight - top),
+            });
+        }
+    }
+    return pages;
+}
+
+/**
+ * Show the cross-stitch chart in the print preview
+ * @returns {Promise<void>}
+ */
+export async function showCrossStitchChart() {
+    const catalog = await loadFlossCatalog('dmc');
+    const key = getCrossStitchKey(catalog);
+    if (key.length === 0) {
+        showNotification('Paint some cells to make a cross-stitch chart.', 'info');
+        return;
+    }
+
+    const title = document.getElementById('patternTitleInput')?.value || 'Untitled Pattern';
+    const pages = splitIntoPages();
+    const symbols = Object.fromEntries(key.map((entry) => [entry.color, entry]));
+    const inches = (stitches) => stitches / AIDA_COUNT;
+    const size = `${inches(state.gridWidth).toFixed(1)} × ${inches(state.gridHeight).toFixed(1)} in (${(inches(state.gridWidth) * 2.54).toFixed(1)} × ${(inches(state.gridHeight) * 2.54).toFixed(1)} cm)`;
+
+    let html = `
+        <div class="print-sheet">
+            <div class="print-sheet-title">${title} – Cross-stitch Chart</div>
+            <div class="print-sheet-legend">
+                <div class="print-sheet-legend-title">Key</div>
+                <div>${state.gridWidth} × ${state.gridHeight} stitches, ${size} on ${AIDA_COUNT}-count Aida. ${pages.length} chart page${pages.length === 1 ? '' : 's'}.</div>
+                <table class="xstitch-key">
+                    <thead>
+                        <tr><th>Symbol</th><th>Color</th><th>Floss</th><th>Name</th><th>Stitches</th></tr>
+                    </thead>
+                    <tbody>
+                        ${key.map((entry) => `
+                            <tr>
+                                <td class="xstitch-key-symbol">${entry.symbol}</td>
+                                <td><span class="print-sheet-legend-color" style="background-color: ${entry.color};"></span>${entry.color}</td>
+                                <td>${entry.floss ? `${entry.floss.brand} ${entry.floss.code}` : '–'}</td>
+                                <td>${entry.floss ? entry.floss.name : '–'}</td>
+                                <td>${entry.count}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    pages.forEach((page) => {
+        html += `
+            <div class="print-sheet">
+                <div class="print-sheet-title">Page ${page.number} of ${pages.length}: rows ${page.top + 1}–${page.top + page.height}, columns ${page.left + 1}–${page.left + page.width}</div>
+                ${generatePageTable(page, symbols)}
+            </div>
+        `;
+    });
+
+    const modal = document.getElementById('printModal');
+    const content = document.getElementById('printPreviewContent');
+    const printBtn = document.getElementById('printBtn');
+
+    if (content) {
+        content.innerHTML = html;
+    }
+    if (printBtn) {
+        printBtn.style.display = 'block';
+        printBtn.onclick = () => window.print();
+    }
+    if (modal) {
+        modal.classList.add('active');
+    }
+}
+
+// The palette color's own thread, else the nearest DMC
+function getFloss(color, catalog) {
+    const own = state.palette.find((c) => c.hex === color)?.floss;
+    if (own) return { brand: own.brand, code: own.code, name: own.name };
+    if (!catalog) return null;
+    const nearest = findNearestFloss(color, catalog);
+    return { brand: catalog.brand, code: nearest.code, name: nearest.name };
+}
+
+// One page of the chart; numbers and bold lines use whole-chart positions so pages line up
+function generatePageTable(page, symbols) {
+    const major = (index) => (index + 1) % MAJOR_EVERY === 0;
+
+    let html = '<table class="xstitch-chart"><thead><tr><th></th>';
+    for (let col = page.left; col < page.left + page.width; col++) {
+        html += `<th${major(col) ? ' class="xstitch-major-col"' : ''}>${major(col) ? col + 1 : ''}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+
+    for (let row = page.top; row < page.top + page.height; row++) {
+        html += `<tr${major(row) ? ' class="xstitch-major-row"' : ''}><th>${major(row) ? row + 1 : ''}</th>`;
+        for (let col = page.left; col < page.left + page.width; col++) {
+            const entry = symbols[state.gridData[row][col]];
+            const cls = major(col) ? ' class="xstitch-major-col"' : '';
+            html += entry
+                ? `<td${cls} style="background-color: ${entry.color}; color: ${getContrastColor(entry.color)};">${entry.symbol}</td>`
+                : `<td${cls}></td>`;
+        }
+        html += '</tr>';
+    }
+    return html + '</tbody></table>';
+}
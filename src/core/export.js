@@ -5,6 +5,7 @@
 
 import { state } from './state.js';
 import { showNotification } from '../utils/notifications.js';
+import { downloadBlob } from '../utils/canvas.js';
 
 /**
  * Generate color mapping for export
@@ -51,6 +52,7 @@ export function generatePatternText() {
 
 /**
  * Generate legend text (color assignments)
+ * Colors snapped to floss also show the thread, e.g. "A = #000000 (DMC 310 Black)".
  * @returns {string} Legend in format "A = #hex\nB = #hex"
  */
 export function generateLegendText() {
@@ -63,7 +65,128 @@ export function generateLegendText() {
     const lines = [];
     usedColors.forEach((color) => {
         const letter = colorMap[color];
-        lines.push(`${letter} = ${color}`);
+        const floss = getFlossLabel(color);
+        lines.push(`${letter} = ${color}${floss ? ` (${floss})` : ''}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Thread of a palette color snapped to floss, e.g. "DMC 310 Black"
+ * @param {string} hex - Grid color
+ * @returns {string} Empty when the color has no thread
+ */
+export function getFlossLabel(hex) {
+    const floss = state.palette.find((color) => color.hex === hex)?.floss;
+    return floss ? `${floss.brand} ${floss.code} ${floss.name}` : '';
+}
+
+/**
+ * Work out alpha knotting instructions from the grid
+ * Alpha bracelets use one base string per column plus one working string in
+ * the background color. Rows are read top to bottom; odd rows are tied left
+ * to right with forward knots, even rows right to left with backward knots.
+ * Empty cells are tied in the background color.
+ * @returns {Object} {width, height, strings, background, otherColors, hasEmptyCells, rows}
+ *   background - {color, letter} of the most used color, or null if the grid is empty
+ *   otherColors - [{color, letter, firstRow}] for every other color, firstRow 1-based
+ *   rows - [{number, direction, knot, runs: [{color, letter, count}]}] with runs in knotting order
+ */
+export function generateKnotInstructions() {
+    const { colorMap, usedColors } = generateColorMapping();
+    const counts = {};
+    const firstRows = {};
+    let hasEmptyCells = false;
+
+    state.gridData.forEach((line, row) => {
+        line.forEach((color) => {
+            if (!color) {
+                hasEmptyCells = true;
+                return;
+            }
+            counts[color] = (counts[color] || 0) + 1;
+            if (!firstRows[color]) firstRows[color] = row + 1;
+        });
+    });
+
+    // Ties go to the earlier letter
+    const backgroundColor = usedColors.reduce((best, color) => (!best || counts[color] > counts[best] ? color : best), null);
+    const background = backgroundColor ? { color: backgroundColor, letter: colorMap[backgroundColor] } : null;
+
+    const rows = state.gridData.map((line, row) => {
+        const forward = row % 2 === 0;
+        const cells = forward ? line : line.slice().reverse();
+        const runs = [];
+        cells.forEach((cell) => {
+            const color = cell || backgroundColor;
+            const last = runs[runs.length - 1];
+            if (last && last.color === color) {
+                last.count++;
+            } else {
+                runs.push({ color, letter: color ? colorMap[color] : '.', count: 1 });
+            }
+        });
+        return { number: row + 1, direction: forward ? 'right' : 'left', knot: forward ? 'forward' : 'backward', runs };
+    });
+
+    return {
+        width: state.gridWidth,
+        height: state.gridHeight,
+        strings: state.gridWidth + 1,
+        background,
+        otherColors: usedColors
+            .filter((color) => color !== backgroundColor)
+            .map((color) => ({ color, letter: colorMap[color], firstRow: firstRows[color] })),
+        hasEmptyCells,
+        rows,
+    };
+}
+
+/**
+ * Describe one instruction row, e.g. "3 A, switch to B: 2 B, switch to A: 5 A"
+ * Each row starts on the background working string.
+ * @param {Object} row - Row from generateKnotInstructions()
+ * @param {Object|null} background - Background from generateKnotInstructions()
+ * @returns {string}
+ */
+export function describeKnotRow(row, background) {
+    let current = background ? background.color : null;
+    return row.runs.map((run) => {
+        const knots = `${run.count} ${run.letter}`;
+        if (run.color === current) return knots;
+        current = run.color;
+        return `switch to ${run.letter}: ${knots}`;
+    }).join(', ');
+}
+
+/**
+ * Generate alpha knotting instructions as text
+ * @returns {string} Setup notes followed by one line per row
+ */
+export function generateInstructionsText() {
+    const instructions = generateKnotInstructions();
+    const { width, strings, background, otherColors, hasEmptyCells, rows } = instructions;
+
+    if (!background) {
+        return '(Paint some cells to get knotting instructions)';
+    }
+
+    const lines = [
+        `Strings: ${strings} (${width} base strings + 1 working string), all in ${background.letter} = ${background.color} (background)`,
+    ];
+    if (otherColors.length > 0) {
+        lines.push('Add one string of each other color when it first appears:');
+        otherColors.forEach(({ color, letter, firstRow }) => lines.push(`  ${letter} = ${color} (row ${firstRow})`));
+    }
+    lines.push('Odd rows: left to right with forward knots (→). Even rows: right to left with backward knots (←).');
+    if (hasEmptyCells) {
+        lines.push(`Empty cells are tied with the background string (${background.letter}).`);
+    }
+    lines.push('');
+
+    rows.forEach((row) => {
+        lines.push(`Row ${row.number} ${row.direction === 'right' ? '→' : '←'} ${describeKnotRow(row, background)}`);
     });
 
     return lines.join('\n');
@@ -75,9 +198,11 @@ export function generateLegendText() {
 export function updateExport() {
     const patternOutput = document.getElementById('patternOutput');
     const legendOutput = document.getElementById('legendOutput');
+    const instructionsOutput = document.getElementById('instructionsOutput');
 
     if (patternOutput) patternOutput.value = generatePatternText();
     if (legendOutput) legendOutput.value = generateLegendText();
+    if (instructionsOutput) instructionsOutput.value = generateInstructionsText();
 }
 
 /**
@@ -94,21 +219,15 @@ export function copyToClipboard(elementId) {
 }
 
 /**
- * Download pattern as text file
+ * Download pattern, legend and knotting instructions as a text file
  */
 export function downloadTextFile() {
     const pattern = generatePatternText();
     const legend = generateLegendText();
+    const instructions = generateInstructionsText();
 
-    const content = `PATTERN\n${pattern}\n\nLEGEND\n${legend}`;
+    const content = `PATTERN\n${pattern}\n\nLEGEND\n${legend}\n\nKNOTTING INSTRUCTIONS\n${instructions}`;
     const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'bracelet-pattern.txt';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, 'bracelet-pattern.txt');
     showNotification('Pattern downloaded!', 'success');
 }
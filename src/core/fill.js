@@ -0,0 +1,84 @@
+/**
+ * @file fill.js
+ * @description Flood fill (bucket) algorithms for the pattern grid
+ * Pure functions: they return the cells to recolor and never touch state.
+ */
+
+const NEIGHBORS_4 = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const NEIGHBORS_8 = [...NEIGHBORS_4, [-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+/**
+ * Find the contiguous region of cells sharing the color at (row, col)
+ * Empty cells (null) count as a color of their own.
+ * @param {Array<Array<string|null>>} gridData - 2D color array
+ * @param {number} row - Seed row
+ * @param {number} col - Seed column
+ * @param {number} connectivity - 4 (edges only) or 8 (edges and corners)
+ * @returns {number[][]} Array of [row, col] pairs in the region
+ */
+export function findFillRegion(gridData, row, col, connectivity = 4) {
+    const height = gridData.length;
+    const width = height > 0 ? gridData[0].length : 0;
+    if (row < 0 || col < 0 || row >= height || col >= width) return [];
+
+    const target = gridData[row][col];
+    const neighbors = connectivity === 8 ? NEIGHBORS_8 : NEIGHBORS_4;
+    const visited = new Uint8Array(width * height);
+    const region = [];
+    const stack = [[row, col]];
+    visited[row * width + col] = 1;
+
+    while (stack.length > 0) {
+        const [r, c] = stack.pop();
+        region.push([r, c]);
+
+        for (const [dr, dc] of neighbors) {
+            const nr = r + dr;
+            const nc = c + dc;
+            if (nr < 0 || nc < 0 || nr >= height || nc >= width) continue;
+            if (visited[nr * width + nc]) continue;
+            if (gridData[nr][nc] !== target) continue;
+            visited[nr * width + nc] = 1;
+            stack.push([nr, nc]);
+        }
+    }
+
+    return region;
+}
+
+/**
+ * Find every cell on the grid that matches the color at (row, col)
+ * @param {Array<Array<string|null>>} gridData - 2D color array
+ * @param {number} row - Seed row
+ * @param {number} col - Seed column
+ * @returns {number[][]} Array of [row, col] pairs
+ */
+export function findMatchingCells(gridData, row, col) {
+    if (!gridData[row] || gridData[row][col] === undefined) return [];
+
+    const target = gridData[row][col];
+    const cells = [];
+    for (let r = 0; r < gridData.length; r++) {
+        for (let c = 0; c < gridData[r].length; c++) {
+            if (gridData[r][c] === target) {
+                cells.push([r, c]);
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * Compute the cells a bucket fill would recolor
+ * @param {Array<Array<string|null>>} gridData - 2D color array
+ * @param {number} row - Seed row
+ * @param {number} col - Seed column
+ * @param {Object} options - {connectivity: 4|8, global: boolean}
+ * @returns {number[][]} Array of [row, col] pairs
+ */
+export function floodFill(gridData, row, col, options = {}) {
+    const { connectivity = 4, global = false } = options;
+    return global
+        ? findMatchingCells(gridData, row, col)
+        : findFillRegion(gridData, row, col, connectivity);
+}
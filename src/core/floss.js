@@ -0,0 +1,202 @@
+/**
+ * @file floss.js
+ * @description Embroidery floss catalogues and color matching
+ * Catalogues are bundled JSON files in data/floss/ and are fetched the first
+ * time a brand is used. Matching uses the CIEDE2000 color difference, so the
+ * nearest thread is the one that looks closest rather than the closest RGB
+ * value. Snapped palette colors carry the thread as
+ * color.floss = {catalog, brand, code, name}.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { hexToLab, deltaE } from '../utils/colorUtils.js';
+import { recordChange } from './history.js';
+import { mapLayerColors } from './layers.js';
+import { renderGrid } from './grid.js';
+import { renderPalette } from './palette.js';
+import { updateExport } from './export.js';
+
+/** Bundled floss catalogues */
+export const FLOSS_BRANDS = {
+    dmc: { name: 'DMC', file: 'data/floss/dmc.json' },
+    anchor: { name: 'Anchor', file: 'data/floss/anchor.json' },
+    cxc: { name: 'CXC', file: 'data/floss/cxc.json' },
+};
+
+const SUGGESTIONS = 5;           // Closest threads listed when overriding a match
+
+const catalogs = {};
+
+/**
+ * Wire the floss brand select and the snap and override actions
+ */
+export function initFlossTools() {
+    const brandSelect = document.getElementById('flossBrandSelect');
+    if (brandSelect) brandSelect.value = state.floss.brand;
+
+    brandSelect?.addEventListener('change', () => {
+        state.floss.brand = FLOSS_BRANDS[brandSelect.value] ? brandSelect.value : 'dmc';
+    });
+    document.getElementById('snapFlossBtn')?.addEventListener('click', () => snapPaletteToFloss());
+
+    // Capture phase, so changing a thread does not also select the swatch
+    document.getElementById('paletteList')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-floss-index]');
+        if (!btn) return;
+        e.stopPropagation();
+        promptFlossOverride(state.palette[Number(btn.dataset.flossIndex)]);
+    }, true);
+}
+
+/**
+ * Load a brand's floss catalogue (cached after the first load)
+ * @param {string} brand - Key of FLOSS_BRANDS
+ * @returns {Promise<Object|null>} {id, brand, note, colors: [{code, name, hex, lab}]}, or null if it failed to load
+ */
+export async function loadFlossCatalog(brand) {
+    if (catalogs[brand]) return catalogs[brand];
+    const entry = FLOSS_BRANDS[brand];
+    if (!entry) return null;
+
+    try {
+        const response = await fetch(entry.file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const catalog = await response.json();
+        catalog.colors.forEach((color) => {
+            color.hex = color.hex.toLowerCase();
+            color.lab = hexToLab(color.hex);
+        });
+        catalogs[brand] = catalog;
+        return catalog;
+    } catch (error) {
+        console.warn(`Failed to load floss catalogue: ${entry.file}`, error);
+        showNotification(`Could not load the ${entry.name} floss colors.`, 'error');
+        return null;
+    }
+}
+
+/**
+ * Find the closest floss color in a catalogue
+ * @param {string} hex
+ * @param {Object} catalog - From loadFlossCatalog()
+ * @returns {Object} {code, name, hex, lab}
+ */
+export function findNearestFloss(hex, catalog) {
+    return findClosestFloss(hex, catalog, 1)[0].floss;
+}
+
+/**
+ * List the closest floss colors, best match first
+ * @param {string} hex
+ * @param {Object} catalog - From loadFlossCatalog()
+ * @param {number} [count=SUGGESTIONS]
+ * @returns {Array} [{floss, distance}] with distance in ΔE00
+ */
+export function findClosestFloss(hex, catalog, count = SUGGESTIONS) {
+    const lab = hexToLab(hex);
+    return catalog.colors
+        .map((floss) => ({ floss, distance: deltaE(lab, floss.lab) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, count);
+}
+
+/**
+ * Replace every palette and grid color with the nearest thread of a brand,
+ * as one undoable step
+ * Colors that land on the same thread are merged.
+ * @param {string} [brand=state.floss.brand] - Key of FLOSS_BRANDS
+ * @returns {Promise<boolean>} True if the palette was snapped
+ */
+export async function snapPaletteToFloss(brand = state.floss.brand) {
+    const catalog = await loadFlossCatalog(brand);
+    if (!catalog) return false;
+
+    const threads = new Map();
+    let worst = 0;
+    const snap = (hex) => {
+        const [{ floss, distance }] = findClosestFloss(hex, catalog, 1);
+        threads.set(floss.hex, floss);
+        worst = Math.max(worst, distance);
+        return floss.hex;
+    };
+
+    recordChange(`Snap palette to ${catalog.brand}`, () => {
+        // Palette first, so its order is kept; then colors only used on the grid
+        state.palette.forEach((color) => snap(color.hex));
+        mapLayerColors(snap);
+
+        state.palette = [...threads.values()].map((floss) => toPaletteColor(floss, brand, catalog));
+        state.selectedColor = state.palette[0];
+    });
+
+    renderPalette();
+    renderGrid();
+    updateExport();
+    const far = worst > 10 ? ` Some colors had no close match (ΔE ${worst.toFixed(0)}).` : '';
+    showNotification(`Palette snapped to ${threads.size} ${catalog.brand} thread${threads.size === 1 ? '' : 's'}.${far}`, far ? 'warning' : 'success');
+    return true;
+}
+
+/**
+ * Use a different thread for a snapped palette color, recoloring the grid
+ * @param {Object} color - Palette color with a floss match
+ * @param {string} code - Thread number in the same brand
+ * @returns {Promise<boolean>} True if the thread was changed
+ */
+export async function setPaletteFloss(color, code) {
+    if (!color || !color.floss) return false;
+    const catalog = await loadFlossCatalog(color.floss.catalog);
+    if (!catalog) return false;
+
+    const floss = catalog.colors.find((c) => c.code.toLowerCase() === String(code).trim().toLowerCase());
+    if (!floss) {
+        showNotification(`${catalog.brand} ${code} is not in the catalogue.`, 'error');
+        return false;
+    }
+    if (floss.hex !== color.hex && state.palette.some((c) => c.hex === floss.hex)) {
+        showNotification(`${catalog.brand} ${floss.code} is already in the palette.`, 'warning');
+        return false;
+    }
+
+    const oldHex = color.hex;
+    const index = state.palette.indexOf(color);
+    recordChange(`Use ${catalog.brand} ${floss.code}`, () => {
+        mapLayerColors((hex) => (hex === oldHex ? floss.hex : hex));
+        state.palette[index] = toPaletteColor(floss, color.floss.catalog, catalog);
+        if (state.selectedColor === color) state.selectedColor = state.palette[index];
+    });
+
+    renderPalette();
+    renderGrid();
+    updateExport();
+    showNotification(`Now using ${catalog.brand} ${floss.code} ${floss.name}.`, 'success');
+    return true;
+}
+
+/**
+ * Ask for a replacement thread number, suggesting the closest threads
+ * @param {Object} color - Palette color with a floss match
+ * @returns {Promise<void>}
+ */
+export async function promptFlossOverride(color) {
+    if (!color || !color.floss) return;
+    const catalog = await loadFlossCatalog(color.floss.catalog);
+    if (!catalog) return;
+
+    const suggestions = findClosestFloss(color.hex, catalog, SUGGESTIONS + 1)
+        .filter(({ floss }) => floss.code !== color.floss.code)
+        .slice(0, SUGGESTIONS)
+        .map(({ floss }) => `${floss.code} ${floss.name}`)
+        .join(', ');
+    const code = window.prompt(`${catalog.brand} number to use instead of ${color.floss.code} ${color.floss.name}.\nClose matches: ${suggestions}`, color.floss.code);
+    if (code && code.trim() !== color.floss.code) await setPaletteFloss(color, code);
+}
+
+function toPaletteColor(floss, catalogId, catalog) {
+    return {
+        hex: floss.hex,
+        label: floss.name,
+        floss: { catalog: catalogId, brand: catalog.brand, code: floss.code, name: floss.name },
+    };
+}
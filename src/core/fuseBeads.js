@@ -0,0 +1,326 @@
+/**
+ * @file fuseBeads.js
+ * @description Fuse bead mode: snap the palette to a bead brand, count beads
+ * and split big designs across pegboards
+ * Brand catalogues are bundled JSON files in data/beads/ and are fetched the
+ * first time the panel or a brand is used; until then the counts have no bead codes. Each grid cell is one bead; empty cells are
+ * empty pegs. Boards are numbered row by row from the top left.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { distanceBetweenColors, hexToRgb, getContrastColor } from '../utils/colorUtils.js';
+import { recordChange, onHistoryChange } from './history.js';
+import { mapLayerColors } from './layers.js';
+import { renderGrid } from './grid.js';
+import { renderPalette } from './palette.js';
+import { updateExport, generateColorMapping } from './export.js';
+
+/** Bundled bead catalogues */
+export const FUSE_BEAD_BRANDS = {
+    perler: { name: 'Perler', file: 'data/beads/perler.json' },
+    hama: { name: 'Hama Midi', file: 'data/beads/hama.json' },
+    artkal: { name: 'Artkal S', file: 'data/beads/artkal.json' },
+};
+
+/** Pegs per side of a standard large square pegboard */
+export const PEGBOARD_SIZE = 29;
+
+// Catalogue promises by brand; failed loads stay cached so they are reported once
+const catalogs = {};
+// Increases per panel render, so a slow catalogue load cannot overwrite a newer render
+let panelRender = 0;
+
+/**
+ * Wire the fuse bead panel
+ */
+export function initFuseBeads() {
+    const brandSelect = document.getElementById('fuseBrandSelect');
+    if (brandSelect) brandSelect.value = state.fuseBeads.brand;
+
+    brandSelect?.addEventListener('change', () => {
+        state.fuseBeads.brand = FUSE_BEAD_BRANDS[brandSelect.value] ? brandSelect.value : 'perler';
+        useFuseBeadPanel();
+    });
+    const panel = document.getElementById('fuseBeadOutput')?.closest('.panel');
+    panel?.addEventListener('pointerenter', useFuseBeadPanel, { once: true });
+    panel?.addEventListener('focusin', useFuseBeadPanel, { once: true });
+    document.getElementById('snapFuseBeadsBtn')?.addEventListener('click', () => snapPaletteToBeads());
+    document.getElementById('printPegboardsBtn')?.addEventListener('click', () => showPegboardPrintout());
+
+    onHistoryChange(() => renderFuseBeadPanel());
+    renderFuseBeadPanel();
+}
+
+// Fetch the brand's catalogue and show bead codes in the counts
+function useFuseBeadPanel() {
+    loadBeadCatalog();
+    renderFuseBeadPanel();
+}
+
+/**
+ * Load a brand's bead catalogue (cached after the first load, failed or not)
+ * @param {string} [brand=state.fuseBeads.brand] - Key of FUSE_BEAD_BRANDS
+ * @returns {Promise<Object|null>} {id, brand, beadMm, note, colors: [{code, name, hex}]}, or null if it failed to load
+ */
+export function loadBeadCatalog(brand = state.fuseBeads.brand) {
+    const entry = FUSE_BEAD_BRANDS[brand];
+    if (!entry) return Promise.resolve(null);
+    if (!catalogs[brand]) catalogs[brand] = fetchBeadCatalog(entry);
+    return catalogs[brand];
+}
+
+async function fetchBeadCatalog(entry) {
+    try {
+        const response = await fetch(entry.file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const catalog = await response.json();
+        catalog.colors.forEach((color) => { color.hex = color.hex.toLowerCase(); });
+        return catalog;
+    } catch (error) {
+        console.warn(`Failed to load bead catalogue: ${entry.file}`, error);
+        showNotification(`Could not load the ${entry.name} bead colors.`, 'error');
+        return null;
+    }
+}
+
+/**
+ * Find the closest bead color in a catalogue
+ * @param {string} hex
+ * @param {Object} catalog - From loadBeadCatalog()
+ * @returns {Object} {code, name, hex}
+ */
+export function findNearestBead(hex, catalog) {
+    const rgb = hexToRgb(hex);
+    let nearest = catalog.colors[0];
+    let minDistance = Infinity;
+
+    for (const bead of catalog.colors) {
+        const dist = distanceBetweenColors(rgb, hexToRgb(bead.hex));
+        if (dist < minDistance) {
+            minDistance = dist;
+            nearest = bead;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Replace every palette and grid color with the nearest bead of a brand, as
+ * one undoable step
+ * Colors that land on the same bead are merged.
+ * @param {string} [brand=state.fuseBeads.brand] - Key of FUSE_BEAD_BRANDS
+ * @returns {Promise<boolean>} True if the palette was snapped
+ */
+export async function snapPaletteToBeads(brand = state.fuseBeads.brand) {
+    const catalog = await loadBeadCatalog(brand);
+    if (!catalog) return false;
+
+    const beads = new Map();
+    const snap = (hex) => {
+        const bead = findNearestBead(hex, catalog);
+        beads.set(bead.hex, bead);
+        return bead.hex;
+    };
+
+    recordChange(`Snap palette to ${catalog.brand}`, () => {
+        // Palette first, so its order is kept; then colors only used on the grid
+        state.palette.forEach((color) => snap(color.hex));
+        mapLayerColors(snap);
+
+        state.palette = [...beads.values()].map((bead) => ({ hex: bead.hex, label: `${bead.code} ${bead.name}` }));
+        state.selectedColor = state.palette[0];
+    });
+
+    renderPalette();
+    renderGrid();
+    updateExport();
+    showNotification(`Palette snapped to ${beads.size} ${catalog.brand} color${beads.size === 1 ? '' : 's'}.`, 'success');
+    return true;
+}
+
+/**
+ * Count beads per color
+ * @param {Object|null} [catalog] - Matches colors to bead codes when given
+ * @param {Object} [area] - {top, left, width, height}; the whole grid by default
+ * @returns {Array} [{color, letter, count, bead}] in letter order; bead is {code, name, hex} or null
+ */
+export function getFuseBeadCounts(catalog = null, area = { top: 0, left: 0, width: state.gridWidth, height: state.gridHeight }) {
+    const { colorMap } = generateColorMapping();
+    const counts = new Map();
+
+    for (let row = area.top; row < area.top + area.height; row++) {
+        for (let col = area.left; col < area.left + area.width; col++) {
+            const color = state.gridData[row]?.[col];
+            if (color) counts.set(color, (counts.get(color) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .map(([color, count]) => ({
+            color,
+            letter: colorMap[color],
+            count,
+            bead: catalog ? catalog.colors.find((bead) => bead.hex === color.toLowerCase()) || null : null,
+        }))
+        .sort((a, b) => a.letter.localeCompare(b.letter));
+}
+
+/**
+ * Split the grid into pegboards
+ * Edge boards are only as big as the part of the design they hold.
+ * @param {number} [size=PEGBOARD_SIZE] - Pegs per side
+ * @returns {Array} [{number, boardRow, boardCol, top, left, width, height}], boardRow/boardCol 0-based
+ */
+export function splitIntoPegboards(size = PEGBOARD_SIZE) {
+    const boardRows = Math.ceil(state.gridHeight / size);
+    const boardCols = Math.ceil(state.gridWidth / size);
+    const boards = [];
+
+    for (let boardRow = 0; boardRow < boardRows; boardRow++) {
+        for (let boardCol = 0; boardCol < boardCols; boardCol++) {
+            const top = boardRow * size;
+            const left = boardCol * size;
+            boards.push({
+                number: boards.length + 1,
+                boardRow,
+                boardCol,
+                top,
+                left,
+                width: Math.min(size, state.gridWidth - left),
+                height: Math.min(size, state.gridHeight - top),
+            });
+        }
+    }
+    return boards;
+}
+
+/**
+ * Show the bead counts and pegboard layout in the panel
+ * Bead codes are matched only once the brand's catalogue has been requested.
+ * @returns {Promise<void>}
+ */
+export async function renderFuseBeadPanel() {
+    const output = document.getElementById('fuseBeadOutput');
+    if (!output) return;
+
+    const render = ++panelRender;
+    const pending = catalogs[state.fuseBeads.brand];
+    const catalog = pending ? await pending : null;
+    if (render !== panelRender) return;
+
+    const counts = getFuseBeadCounts(catalog);
+    if (counts.length === 0) {
+        output.innerHTML = '<p class="thread-note">Paint some cells to count beads.</p>';
+        return;
+    }
+
+    const boards = splitIntoPegboards();
+    const across = Math.ceil(state.gridWidth / PEGBOARD_SIZE);
+    const down = Math.ceil(state.gridHeight / PEGBOARD_SIZE);
+    const total = counts.reduce((sum, c) => sum + c.count, 0);
+    const brandName = catalog ? catalog.brand : FUSE_BEAD_BRANDS[state.fuseBeads.brand].name;
+    const unmatched = catalog ? counts.filter((c) => !c.bead).length : 0;
+
+    output.innerHTML = `
+        <p class="thread-note">${total} beads on ${boards.length} pegboard${boards.length === 1 ? '' : 's'} of ${PEGBOARD_SIZE}×${PEGBOARD_SIZE} (${across} across × ${down} down).</p>
+        <table class="thread-table">
+            <thead>
+                <tr><th>Color</th><th>${brandName}</th><th>Beads</th></tr>
+            </thead>
+            <tbody>
+                ${counts.map((c) => `
+                    <tr>
+                        <td><span class="thread-swatch" style="background-color: ${c.color};"></span>${c.letter}</td>
+                        <td>${c.bead ? `${c.bead.code} ${c.bead.name}` : '–'}</td>
+                        <td>${c.count}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${unmatched > 0 ? `<p class="fuse-warning">${unmatched} color${unmatched === 1 ? ' is' : 's are'} not ${brandName} beads. Snap the palette to match them.</p>` : ''}
+    `;
+}
+
+/**
+ * Show a printable sheet per pegboard in the print preview
+ * @returns {Promise<void>}
+ */
+export async function showPegboardPrintout() {
+    const catalog = await loadBeadCatalog();
+    if (getFuseBeadCounts().length === 0) {
+        showNotification('Paint some cells to print pegboards.', 'info');
+        return;
+    }
+
+    const title = document.getElementById('patternTitleInput')?.value || 'Untitled Pattern';
+    const { colorMap } = generateColorMapping();
+    const boards = splitIntoPegboards();
+    const across = Math.ceil(state.gridWidth / PEGBOARD_SIZE);
+    const beadName = (c) => (c.bead ? `${c.bead.code} ${c.bead.name}` : c.color);
+
+    // Overview: the board layout, then the bead list for the whole design
+    let html = `
+        <div class="print-sheet">
+            <div class="print-sheet-title">${title} – ${boards.length} pegboard${boards.length === 1 ? '' : 's'}</div>
+            <div class="print-sheet-legend">
+                <div class="print-sheet-legend-title">Board Layout</div>
+                <div class="pegboard-layout" style="grid-template-columns: repeat(${across}, auto);">
+                    ${boards.map((b) => `<div class="pegboard-layout-cell">Board ${b.number}<br>${b.width}×${b.height}</div>`).join('')}
+                </div>
+            </div>
+            <div class="print-sheet-legend">
+                <div class="print-sheet-legend-title">Beads (${catalog ? catalog.brand : 'no brand'})</div>
+                ${getFuseBeadCounts(catalog).map((c) => `
+                    <div class="print-sheet-legend-item">
+                        <span class="print-sheet-legend-color" style="background-color: ${c.color};"></span>
+                        ${c.letter} = ${beadName(c)}: ${c.count}
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    boards.forEach((board) => {
+        let cells = '';
+        for (let row = board.top; row < board.top + board.height; row++) {
+            for (let col = board.left; col < board.left + board.width; col++) {
+                const color = state.gridData[row][col];
+                cells += color
+                    ? `<span class="pegboard-cell" style="background-color: ${color}; color: ${getContrastColor(color)};">${colorMap[color]}</span>`
+                    : '<span class="pegboard-cell pegboard-empty"></span>';
+            }
+        }
+
+        html += `
+            <div class="print-sheet">
+                <div class="print-sheet-title">Board ${board.number} of ${boards.length}: rows ${board.top + 1}–${board.top + board.height}, columns ${board.left + 1}–${board.left + board.width}</div>
+                <div class="pegboard-grid" style="grid-template-columns: repeat(${board.width}, 1fr);">${cells}</div>
+                <div class="print-sheet-legend">
+                    <div class="print-sheet-legend-title">Beads on this board</div>
+                    ${getFuseBeadCounts(catalog, board).map((c) => `
+                        <div class="print-sheet-legend-item">
+                            <span class="print-sheet-legend-color" style="background-color: ${c.color};"></span>
+                            ${c.letter} = ${beadName(c)}: ${c.count}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    });
+
+    const modal = document.getElementById('printModal');
+    const content = document.getElementById('printPreviewContent');
+    const printBtn = document.getElementById('printBtn');
+
+    if (content) {
+        content.innerHTML = html;
+    }
+    if (printBtn) {
+        printBtn.style.display = 'block';
+        printBtn.onclick = () => window.print();
+    }
+    if (modal) {
+        modal.classList.add('active');
+    }
+}
@@ -6,125 +6,524 @@
 
 import { state } from './state.js';
 import { showNotification } from '../utils/notifications.js';
+import { updateExport } from './export.js';
+import { recordChange, captureDesign, restoreDesign, commitChange } from './history.js';
+import { floodFill } from './fill.js';
+import { getLineCells, getShapeCells } from './shapes.js';
+import { getMirroredPoints, getSymmetricCells, setSymmetryAxes } from './symmetry.js';
+import {
+    initGridRenderer,
+    renderGridCanvas,
+    renderGridCells,
+    renderGridOverlay,
+    setGridPreview,
+    clearGridPreview,
+    setGridHover,
+    getCellAtPoint,
+    getGutterRowAtPoint,
+} from './gridRenderer.js';
+import { setCurrentRow } from './guides.js';
+import { pickColorAt, replaceColorAt } from './colorTools.js';
+import { getTextCells, placeText } from './textTool.js';
+import {
+    mapLayers,
+    layerToGrid,
+    setLayersFromGrid,
+    canEditActiveLayer,
+    getActiveLayer,
+    getTopLayerAt,
+} from './layers.js';
+import {
+    MIN_GRID_SIZE,
+    MAX_GRID_SIZE,
+    RESIZE_ANCHORS,
+    resizeCells,
+    countCroppedCells,
+    insertRows,
+    removeRows,
+    insertColumns,
+    removeColumns,
+} from './resize.js';
+import {
+    normalizeRect,
+    isInRect,
+    setSelection,
+    liftSelection,
+    moveFloatingSelection,
+    dropFloatingSelection,
+} from './selection.js';
+
+const TOOL_LABELS = {
+    paint: 'Paint stroke',
+    line: 'Draw line',
+    rectangle: 'Draw rectangle',
+    ellipse: 'Draw ellipse',
+};
+
+// Pointer stroke in progress (pointerdown → pointerup)
+let activeStroke = null;
 
 /**
- * Initialize an empty grid with specified dimensions
+ * Initialize an empty grid with specified dimensions and empty layers
  */
 export function initGrid() {
     state.gridData = Array(state.gridHeight)
         .fill(null)
         .map(() => Array(state.gridWidth).fill(null));
+    setLayersFromGrid(state.gridData);
 }
 
 /**
- * Render the grid in the DOM
+ * Show the current grid dimensions in the size inputs
  */
-export function renderGrid() {
+export function syncGridSizeInputs() {
+    const widthInput = document.getElementById('widthInput');
+    const heightInput = document.getElementById('heightInput');
+    if (widthInput) widthInput.value = state.gridWidth;
+    if (heightInput) heightInput.value = state.gridHeight;
+}
+
+/**
+ * Attach pointer listeners to the grid container
+ * Uses one delegated set of pointer events so mouse, pen and touch all
+ * support click-and-drag painting.
+ */
+export function initGridInteractions() {
     const container = document.getElementById('gridContainer');
     if (!container) return;
 
-    container.innerHTML = '';
-
-    const colCount = state.gridWidth;
-    container.style.gridTemplateColumns = `repeat(${colCount}, 28px)`;
-
-    const fragment = document.createDocumentFragment();
-
-    for (let row = 0; row < state.gridHeight; row++) {
-        for (let col = 0; col < state.gridWidth; col++) {
-            const cell = document.createElement('div');
-            cell.className = 'grid-cell';
-            cell.dataset.row = row;
-            cell.dataset.col = col;
-
-            const color = state.gridData[row][col];
-            if (color) {
-                cell.style.backgroundColor = color;
-                cell.classList.add('filled');
-            }
-
-            // Left click to paint, Shift+Click to erase
-            cell.addEventListener('click', (e) => {
-                e.preventDefault();
-                if (e.shiftKey) {
-                    handleCellErase(row, col);
-                } else {
-                    handleCellClick(row, col);
-                }
-            });
-
-            // Right click to erase
-            cell.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                handleCellErase(row, col);
-            });
-
-            fragment.appendChild(cell);
+    container.addEventListener('pointerdown', handleGridPointerDown);
+    container.addEventListener('pointermove', handleGridPointerMove);
+    container.addEventListener('pointerup', handleGridPointerUp);
+    container.addEventListener('pointercancel', handleGridPointerCancel);
+    container.addEventListener('pointerleave', () => {
+        setGridHover(null);
+        if (state.activeTool === 'text' && !activeStroke) clearGridPreview();
+    });
+    container.addEventListener('contextmenu', (e) => e.preventDefault());
+    initGridRenderer();
+}
+
+/**
+ * Render the whole grid (canvas redraw)
+ * Use after changes of unknown extent; single-cell edits repaint only
+ * the affected cells.
+ */
+export function renderGrid() {
+    renderGridCanvas();
+}
+
+/**
+ * Redraw the selection marquee and floating cells
+ */
+export function renderSelectionOverlay() {
+    renderGridOverlay();
+}
+
+/**
+ * Write a color into a list of cells and repaint only those cells
+ * The cells are mirrored according to the active symmetry mode.
+ * @param {number[][]} cells - Array of [row, col] pairs
+ * @param {string|null} color - Hex color, or null to erase
+ */
+function paintCells(cells, color) {
+    const changed = [];
+    getSymmetricCells(cells).forEach(([row, col]) => {
+        if (!state.gridData[row] || state.gridData[row][col] === undefined) return;
+        if (state.gridData[row][col] === color) return;
+        state.gridData[row][col] = color;
+        changed.push([row, col]);
+    });
+    renderGridCells(changed);
+}
+
+/**
+ * Show a shape preview over the grid without changing gridData
+ * @param {number[][]} cells - Array of [row, col] pairs (mirrored like paintCells)
+ * @param {string|null} color - Preview color (null previews an erase)
+ */
+function renderPreview(cells, color) {
+    setGridPreview(getSymmetricCells(cells), color);
+}
+
+/**
+ * Resolve the grid cell under a pointer event
+ * @param {PointerEvent} e
+ * @returns {Object|null} {row, col} or null if outside the grid
+ */
+function getCellFromEvent(e) {
+    return getCellAtPoint(e.clientX, e.clientY);
+}
+
+function handleGridPointerDown(e) {
+    if (e.button !== 0 && e.button !== 2) return;
+
+    const cell = getCellFromEvent(e);
+    if (!cell) {
+        // Clicking a row number marks it as the current row
+        const gutterRow = getGutterRowAtPoint(e.clientX, e.clientY);
+        if (gutterRow !== null && e.button === 0) setCurrentRow(gutterRow);
+        return;
+    }
+    e.preventDefault();
+    setGridHover(null);
+
+    // Alt+click picks a color with any tool
+    if (state.activeTool === 'eyedropper' || (e.altKey && e.button === 0)) {
+        if (e.button === 0) pickColorAt(cell.row, cell.col);
+        return;
+    }
+    // Text always goes to the Text layer, whichever layer is active
+    if (state.activeTool === 'text') {
+        if (e.button === 0 && placeText(cell.row, cell.col)) {
+            clearGridPreview();
+            renderGrid();
+            updateExport();
+        }
+        return;
+    }
+    if (state.activeTool !== 'select' && !canEditActiveLayer()) return;
+    if (state.activeTool === 'replace') {
+        if (e.button === 0) replaceColorAt(cell.row, cell.col);
+        return;
+    }
+
+    if (state.activeTool === 'select') {
+        if (e.button !== 0) return;
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        beginSelectionDrag(e.pointerId, cell);
+        return;
+    }
+
+    // Right-click or Shift turns every tool into its eraser variant
+    const erase = e.button === 2 || e.shiftKey;
+    if (!erase && !state.selectedColor) {
+        showNotification('Please add a color to the palette first.', 'warning');
+        return;
+    }
+
+    if (state.activeTool === 'fill') {
+        handleCellFill(cell.row, cell.col, erase);
+        return;
+    }
+
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    activeStroke = {
+        pointerId: e.pointerId,
+        tool: state.activeTool,
+        color: erase ? null : state.selectedColor.hex,
+        erase,
+        start: cell,
+        last: cell,
+        before: captureDesign(),
+    };
+
+    if (activeStroke.tool === 'paint') {
+        paintCells([[cell.row, cell.col]], activeStroke.color);
+    } else {
+        renderPreview(getShapeCells(activeStroke.tool, cell, cell, state.shapeFilled), activeStroke.color);
+    }
+}
+
+function handleGridPointerMove(e) {
+    if (!activeStroke) {
+        if (e.pointerType !== 'mouse') return;
+        const cell = getCellFromEvent(e);
+        if (state.activeTool === 'text') {
+            // Show where the text would land
+            if (cell && state.selectedColor) setGridPreview(getTextCells(cell.row, cell.col), state.selectedColor.hex);
+            else clearGridPreview();
+        } else {
+            setGridHover(cell);
         }
+        return;
     }
-    container.appendChild(fragment);
+    if (e.pointerId !== activeStroke.pointerId) return;
+
+    const cell = getCellFromEvent(e);
+    if (!cell) return;
+    if (cell.row === activeStroke.last.row && cell.col === activeStroke.last.col) return;
+
+    if (activeStroke.tool === 'select') {
+        updateSelectionDrag(cell);
+    } else if (activeStroke.tool === 'paint') {
+        // Connect to the previous cell so fast drags leave no gaps
+        const { last } = activeStroke;
+        paintCells(getLineCells(last.row, last.col, cell.row, cell.col), activeStroke.color);
+    } else {
+        renderPreview(getShapeCells(activeStroke.tool, activeStroke.start, cell, state.shapeFilled), activeStroke.color);
+    }
+
+    activeStroke.last = cell;
+}
+
+function handleGridPointerUp(e) {
+    if (!activeStroke || e.pointerId !== activeStroke.pointerId) return;
+    finishStroke(true);
+}
+
+function handleGridPointerCancel(e) {
+    if (!activeStroke || e.pointerId !== activeStroke.pointerId) return;
+    finishStroke(false);
 }
 
 /**
- * Handle a cell click (paint operation)
- * @param {number} row
- * @param {number} col
+ * Abandon the active stroke without recording it
+ * Used when a gesture (pinch, pan) takes over a pointer that started painting.
  */
-export function handleCellClick(row, col) {
-    if (!state.selectedColor) {
-        showNotification('Please add a color to the palette first.', 'warning');
+export function cancelActiveStroke() {
+    const stroke = activeStroke;
+    if (!stroke) return;
+    activeStroke = null;
+
+    if (stroke.tool === 'select') return;
+    clearGridPreview();
+    if (stroke.tool === 'paint' && JSON.stringify(captureDesign()) !== JSON.stringify(stroke.before)) {
+        restoreDesign(stroke.before);
+        renderGrid();
+    }
+}
+
+/**
+ * Start a select-tool drag: move the floating selection, lift the selection
+ * to move it, or draw a new marquee
+ * @param {number} pointerId
+ * @param {Object} cell - {row, col}
+ */
+function beginSelectionDrag(pointerId, cell) {
+    activeStroke = { pointerId, tool: 'select', start: cell, last: cell };
+
+    if (!state.floatingSelection && isInRect(state.selection, cell.row, cell.col)) {
+        liftSelection();
+    }
+
+    const floating = state.floatingSelection;
+    if (isInRect(floating, cell.row, cell.col)) {
+        activeStroke.mode = 'move';
+        activeStroke.offset = { row: cell.row - floating.row, col: cell.col - floating.col };
+        renderSelectionOverlay();
         return;
     }
-    state.gridData[row][col] = state.selectedColor.hex;
-    renderGrid();
-    
-    // Trigger export update if available
-    if (typeof updateExport === 'function') {
+
+    // Clicking outside drops the floating selection where it is
+    if (dropFloatingSelection()) {
+        renderGrid();
         updateExport();
     }
+    activeStroke.mode = 'marquee';
+    setSelection(normalizeRect(cell, cell));
+    renderSelectionOverlay();
+}
+
+function updateSelectionDrag(cell) {
+    if (activeStroke.mode === 'move') {
+        moveFloatingSelection(cell.row - activeStroke.offset.row, cell.col - activeStroke.offset.col);
+    } else {
+        setSelection(normalizeRect(activeStroke.start, cell));
+    }
+    renderSelectionOverlay();
 }
 
 /**
- * Handle a cell erase (right-click or shift-click)
+ * Commit the active stroke as one undoable step
+ * @param {boolean} applyShape - Draw the previewed shape (false on cancel)
+ */
+function finishStroke(applyShape) {
+    const stroke = activeStroke;
+    activeStroke = null;
+
+    if (stroke.tool === 'select') {
+        // A click without dragging clears the marquee
+        if (stroke.mode === 'marquee' && stroke.start.row === stroke.last.row && stroke.start.col === stroke.last.col) {
+            setSelection(null);
+            renderSelectionOverlay();
+        }
+        return;
+    }
+
+    if (stroke.tool !== 'paint') {
+        clearGridPreview();
+        if (applyShape) {
+            paintCells(getShapeCells(stroke.tool, stroke.start, stroke.last, state.shapeFilled), stroke.color);
+        }
+    }
+
+    const label = stroke.erase
+        ? `Erase ${stroke.tool === 'paint' ? 'stroke' : stroke.tool}`
+        : (TOOL_LABELS[stroke.tool] || 'Draw');
+    // An erase only clears the active layer, so a lower layer may still show in these cells
+    const erased = stroke.erase ? getClearedCells(stroke.before.gridData) : [];
+    const committed = commitChange(label, stroke.before);
+    // The stroke was drawn straight onto the canvas; redraw from the layers so a rolled-back
+    // stroke disappears, translucent layers blend and erased cells show what is beneath
+    renderGrid();
+    if (committed) updateExport();
+
+    const covered = erased.find(([row, col]) => state.gridData[row]?.[col]);
+    if (covered && canEditActiveLayer(false)) {
+        const layer = getTopLayerAt(covered[0], covered[1]);
+        showNotification(`The eraser only clears the ${getActiveLayer().name} layer. Select the ${layer.name} layer to erase the rest.`, 'info');
+    }
+}
+
+// Cells that were colored before the stroke and are empty now
+function getClearedCells(beforeGrid) {
+    const cells = [];
+    beforeGrid.forEach((line, row) => line.forEach((color, col) => {
+        if (color && !state.gridData[row]?.[col]) cells.push([row, col]);
+    }));
+    return cells;
+}
+
+/**
+ * Handle a bucket fill from a cell using the selected color
+ * Honors state.fillConnectivity (4/8) and state.fillGlobal (replace all matches).
  * @param {number} row
  * @param {number} col
+ * @param {boolean} erase - Clear the region instead of painting it
  */
-export function handleCellErase(row, col) {
-    state.gridData[row][col] = null;
-    renderGrid();
-    
-    // Trigger export update if available
-    if (typeof updateExport === 'function') {
-        updateExport();
+export function handleCellFill(row, col, erase = false) {
+    if (!erase && !state.selectedColor) {
+        showNotification('Please add a color to the palette first.', 'warning');
+        return;
     }
+
+    const color = erase ? null : state.selectedColor.hex;
+
+    // Fill from the clicked cell and each of its symmetric counterparts
+    const cells = [];
+    getMirroredPoints(row, col).forEach(([r, c]) => {
+        if (r < 0 || c < 0 || r >= state.gridHeight || c >= state.gridWidth) return;
+        if (state.gridData[r][c] === color) return;
+        cells.push(...floodFill(state.gridData, r, c, {
+            connectivity: state.fillConnectivity,
+            global: state.fillGlobal,
+        }));
+    });
+    if (cells.length === 0) return;
+
+    const label = erase ? 'Erase region' : (state.fillGlobal ? 'Replace color' : 'Fill region');
+    recordChange(label, () => {
+        cells.forEach(([r, c]) => {
+            state.gridData[r][c] = color;
+        });
+    });
+    renderGridCells(cells);
+    updateExport();
 }
 
 /**
- * Resize the grid to new dimensions
- * @param {number} newWidth
- * @param {number} newHeight
+ * Attach listeners for the anchor picker and row/column insert/remove buttons
+ */
+export function initResizeControls() {
+    document.querySelectorAll('.anchor-btn[data-anchor]').forEach((btn) => {
+        btn.addEventListener('click', () => setResizeAnchor(btn.dataset.anchor));
+    });
+    setResizeAnchor(state.resizeAnchor);
+
+    document.querySelectorAll('[data-line-action]').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            const position = parseInt(document.getElementById('linePositionInput')?.value, 10);
+            handleLineAction(btn.dataset.lineAction, position - 1);
+        });
+    });
+}
+
+/**
+ * Choose which edge or corner existing cells stay attached to when resizing
+ * @param {string} anchor - One of RESIZE_ANCHORS
+ */
+export function setResizeAnchor(anchor) {
+    state.resizeAnchor = RESIZE_ANCHORS.includes(anchor) ? anchor : 'center';
+    document.querySelectorAll('.anchor-btn[data-anchor]').forEach((btn) => {
+        const active = btn.dataset.anchor === state.resizeAnchor;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+}
+
+/**
+ * Resize the grid to the dimensions in the size inputs
+ * Existing cells are kept, positioned by state.resizeAnchor. Only cells that
+ * fall outside the new bounds are lost, and the user is asked first.
  */
 export function handleResizeGrid() {
     const newWidth = parseInt(document.getElementById('widthInput').value, 10);
     const newHeight = parseInt(document.getElementById('heightInput').value, 10);
 
-    if (isNaN(newWidth) || isNaN(newHeight) || newWidth < 4 || newHeight > 80 || newHeight < 4 || newHeight > 80) {
-        showNotification('Grid size must be between 4 and 80.', 'error');
+    if (!isValidGridSize(newWidth) || !isValidGridSize(newHeight)) {
+        showNotification(`Grid size must be between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}.`, 'error');
+        return;
+    }
+    if (newWidth === state.gridWidth && newHeight === state.gridHeight) return;
+
+    // Hidden layers lose cells too, so count every layer
+    const lost = state.layers.reduce((sum, layer) => (
+        sum + countCroppedCells(layerToGrid(layer), newWidth, newHeight, state.resizeAnchor)
+    ), 0);
+    if (lost > 0 && !confirm(`Resizing will remove ${lost} painted cell${lost === 1 ? '' : 's'} outside the new size. Continue?`)) {
+        syncGridSizeInputs();
         return;
     }
 
-    const hasContent = state.gridData.some((row) => row.some((cell) => cell !== null));
+    applyGridData('Resize grid', (cells) => resizeCells(cells, newWidth, newHeight, state.resizeAnchor));
+}
+
+/**
+ * Insert or remove a single row or column
+ * @param {string} action - 'insertRow', 'removeRow', 'insertColumn' or 'removeColumn'
+ * @param {number} index - 0-based row/column index; inserts go before it
+ */
+export function handleLineAction(action, index) {
+    const isRow = action === 'insertRow' || action === 'removeRow';
+    const isInsert = action === 'insertRow' || action === 'insertColumn';
+    const size = isRow ? state.gridHeight : state.gridWidth;
+    const noun = isRow ? 'row' : 'column';
 
-    if (hasContent && !confirm('Resizing will clear or truncate existing work. Continue?')) {
+    // Inserting at size + 1 appends after the last row/column
+    const maxIndex = isInsert ? size : size - 1;
+    if (isNaN(index) || index < 0 || index > maxIndex) {
+        showNotification(`Choose a ${noun} between 1 and ${maxIndex + 1}.`, 'error');
+        return;
+    }
+    if (!isValidGridSize(isInsert ? size + 1 : size - 1)) {
+        showNotification(`Grid size must be between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}.`, 'error');
         return;
     }
 
-    state.gridWidth = newWidth;
-    state.gridHeight = newHeight;
-    initGrid();
+    const edits = { insertRow: insertRows, removeRow: removeRows, insertColumn: insertColumns, removeColumn: removeColumns };
+    if (!edits[action]) return;
+
+    applyGridData(`${isInsert ? 'Insert' : 'Remove'} ${noun} ${index + 1}`, (cells) => edits[action](cells, index));
+}
+
+/**
+ * Apply a size-changing edit to every layer as one undoable step
+ * @param {string} label - History label
+ * @param {Function} transform - (2D color array) → new 2D color array
+ */
+function applyGridData(label, transform) {
+    dropFloatingSelection();
+
+    recordChange(label, () => mapLayers(transform));
+
+    syncGridBounds();
     renderGrid();
-    
-    if (typeof updateExport === 'function') {
-        updateExport();
+    updateExport();
+}
+
+/**
+ * Bring size-dependent settings in line after the grid size changed
+ * Clamps custom symmetry axes and the selection and updates the size inputs.
+ */
+export function syncGridBounds() {
+    if (state.symmetry.axisCol !== null || state.symmetry.axisRow !== null) {
+        setSymmetryAxes(state.symmetry.axisCol, state.symmetry.axisRow);
     }
+    setSelection(state.selection);
+    syncGridSizeInputs();
+}
+
+function isValidGridSize(size) {
+    return !isNaN(size) && size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE;
 }
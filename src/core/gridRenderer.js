@@ -0,0 +1,541 @@
+/**
+ * @file gridRenderer.js
+ * @description Canvas renderer for the design grid
+ * Two stacked canvases: the cell layer is drawn once and then repainted one
+ * cell at a time as cells change; the overlay layer holds the selection,
+ * floating cells, shape preview, hover highlight, symmetry and knotting guides
+ * and is cheap to redraw in full. Row/column numbers sit in a gutter along the
+ * top and left edges of the cell layer. Both are scaled for high-DPI displays.
+ * The cell size is the responsive base size times state.zoom. Layers with an
+ * opacity below 1 are blended on screen only; export uses the flat grid.
+ */
+
+import { state } from './state.js';
+import { getSymmetryAxes } from './symmetry.js';
+import { cellKey, getTopLayerAt } from './layers.js';
+
+const GRID_LINE = 1;
+const GRID_LINE_COLOR = '#dddddd';
+const EMPTY_CELL_COLOR = '#ffffff';
+const DEFAULT_CELL_SIZE = 28;
+const SELECTION_COLOR = 'rgba(74, 74, 74, 0.85)';
+const SELECTION_TINT = 'rgba(74, 74, 74, 0.08)';
+const HOVER_COLOR = '#a8d8ea';
+const GUIDE_COLOR = 'rgba(212, 107, 140, 0.85)';
+const GUIDE_FAINT_COLOR = 'rgba(212, 107, 140, 0.35)';
+const LABEL_COLOR = '#777777';
+const MAJOR_LINE_COLOR = 'rgba(74, 74, 74, 0.55)';
+const CENTER_COLOR = 'rgba(70, 140, 200, 0.8)';
+const ROW_HIGHLIGHT_COLOR = 'rgba(255, 204, 77, 0.35)';
+const ROW_HIGHLIGHT_BORDER = 'rgba(230, 160, 0, 0.9)';
+// Backing store limits: iOS Safari refuses canvases over ~16.7M pixels and
+// browsers cap each side, so big grids at high zoom trade sharpness for showing at all
+const MAX_CANVAS_AREA = 16000000;
+const MAX_CANVAS_SIDE = 16384;
+
+// Rendering surface and the geometry it was last drawn with
+let cellCanvas = null;
+let overlayCanvas = null;
+let cellSize = DEFAULT_CELL_SIZE;
+let pixelRatio = 1;
+let deviceRatio = 1;
+let gutter = 0;
+// Transient overlay content owned by the grid interactions
+let previewCells = [];
+let previewColor = null;
+let hoverCell = null;
+// Callbacks notified after the cell layer changes (e.g. the minimap)
+const drawListeners = [];
+
+/**
+ * Redraw everything when the device pixel ratio or the responsive cell size changes
+ */
+export function initGridRenderer() {
+    if (typeof window === 'undefined') return;
+
+    window.addEventListener('resize', () => {
+        const container = document.getElementById('gridContainer');
+        if (!container || !cellCanvas) return;
+        if ((window.devicePixelRatio || 1) !== deviceRatio || getZoomedCellSize(container) !== cellSize) {
+            renderGridCanvas();
+        }
+    });
+}
+
+/**
+ * Size the canvases for the current grid and redraw every cell and the overlay
+ */
+export function renderGridCanvas() {
+    const container = document.getElementById('gridContainer');
+    if (!container) return;
+
+    ensureCanvases(container);
+    previewCells = [];
+    hoverCell = null;
+
+    cellSize = getZoomedCellSize(container);
+    deviceRatio = window.devicePixelRatio || 1;
+    gutter = state.guides.numbers || state.guides.centerMarkers ? getGutterSize() : 0;
+
+    const width = getCanvasWidth();
+    const height = getCanvasHeight();
+    pixelRatio = Math.min(
+        deviceRatio,
+        Math.sqrt(MAX_CANVAS_AREA / (width * height)),
+        MAX_CANVAS_SIDE / Math.max(width, height),
+    );
+    [cellCanvas, overlayCanvas].forEach((canvas) => {
+        canvas.width = Math.round(width * pixelRatio);
+        canvas.height = Math.round(height * pixelRatio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+    });
+
+    const ctx = getContext(cellCanvas);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = GRID_LINE_COLOR;
+    ctx.fillRect(gutter, gutter, width - gutter, height - gutter);
+    for (let row = 0; row < state.gridHeight; row++) {
+        for (let col = 0; col < state.gridWidth; col++) {
+            drawCell(ctx, row, col);
+        }
+    }
+    if (state.guides.numbers) {
+        drawNumbers(ctx);
+    }
+
+    renderGridOverlay();
+    notifyDraw();
+}
+
+/**
+ * Repaint only the given cells on the cell layer
+ * @param {number[][]} cells - Array of [row, col] pairs
+ */
+export function renderGridCells(cells) {
+    if (!cellCanvas || cells.length === 0) return;
+
+    const ctx = getContext(cellCanvas);
+    cells.forEach(([row, col]) => {
+        if (row < 0 || col < 0 || row >= state.gridHeight || col >= state.gridWidth) return;
+        drawCell(ctx, row, col);
+    });
+    notifyDraw();
+}
+
+/**
+ * Redraw the overlay layer: guides, selection, floating cells, preview, hover and symmetry axes
+ */
+export function renderGridOverlay() {
+    if (!overlayCanvas) return;
+
+    const ctx = getContext(overlayCanvas);
+    ctx.clearRect(0, 0, getCanvasWidth(), getCanvasHeight());
+
+    drawGuides(ctx);
+    drawSelection(ctx, state.selection);
+    drawFloatingSelection(ctx, state.floatingSelection);
+
+    if (previewCells.length > 0) {
+        ctx.globalAlpha = 0.75;
+        ctx.fillStyle = previewColor || EMPTY_CELL_COLOR;
+        previewCells.forEach(([row, col]) => {
+            ctx.fillRect(cellX(col), cellY(row), cellSize, cellSize);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    if (hoverCell) {
+        ctx.strokeStyle = HOVER_COLOR;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(cellX(hoverCell.col) + 1, cellY(hoverCell.row) + 1, cellSize - 2, cellSize - 2);
+    }
+
+    drawSymmetryGuides(ctx);
+}
+
+/**
+ * Show a shape preview without changing gridData
+ * @param {number[][]} cells - Array of [row, col] pairs (already mirrored)
+ * @param {string|null} color - Preview color (null previews an erase)
+ */
+export function setGridPreview(cells, color) {
+    previewCells = cells.filter(([row, col]) => row >= 0 && col >= 0 && row < state.gridHeight && col < state.gridWidth);
+    previewColor = color;
+    renderGridOverlay();
+}
+
+/**
+ * Remove the shape preview
+ */
+export function clearGridPreview() {
+    if (previewCells.length === 0) return;
+    previewCells = [];
+    renderGridOverlay();
+}
+
+/**
+ * Highlight the cell under the pointer
+ * @param {Object|null} cell - {row, col} or null to clear
+ */
+export function setGridHover(cell) {
+    const same = cell && hoverCell && cell.row === hoverCell.row && cell.col === hoverCell.col;
+    if (same || (!cell && !hoverCell)) return;
+    hoverCell = cell;
+    renderGridOverlay();
+}
+
+/**
+ * Resolve the grid cell under a viewport point
+ * Works with CSS scaling of the canvas, since it measures the rendered size.
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {Object|null} {row, col} or null if outside the grid or on a grid line margin
+ */
+export function getCellAtPoint(clientX, clientY) {
+    if (!overlayCanvas) return null;
+
+    const rect = overlayCanvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+
+    const x = (clientX - rect.left) * (getCanvasWidth() / rect.width);
+    const y = (clientY - rect.top) * (getCanvasHeight() / rect.height);
+    const pitch = cellSize + GRID_LINE;
+    const col = Math.floor((x - gutter - GRID_LINE) / pitch);
+    const row = Math.floor((y - gutter - GRID_LINE) / pitch);
+
+    if (row < 0 || col < 0 || row >= state.gridHeight || col >= state.gridWidth) return null;
+    return { row, col };
+}
+
+/**
+ * Resolve a row number in the left gutter under a viewport point
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {number|null} 0-based row, or null if the point is not on a row label
+ */
+export function getGutterRowAtPoint(clientX, clientY) {
+    if (!overlayCanvas || gutter === 0) return null;
+
+    const rect = overlayCanvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+
+    const x = (clientX - rect.left) * (getCanvasWidth() / rect.width);
+    const y = (clientY - rect.top) * (getCanvasHeight() / rect.height);
+    const row = Math.floor((y - gutter - GRID_LINE) / (cellSize + GRID_LINE));
+
+    if (x >= gutter || row < 0 || row >= state.gridHeight) return null;
+    return row;
+}
+
+/**
+ * Get the element that receives pointer events for the grid
+ * @returns {HTMLCanvasElement|null}
+ */
+export function getGridCanvas() {
+    return overlayCanvas;
+}
+
+/**
+ * Get the unzoomed cell size for the current screen width
+ * @returns {number} Size in CSS pixels
+ */
+export function getBaseCellSize() {
+    const container = document.getElementById('gridContainer');
+    return container ? readCellSize(container) : DEFAULT_CELL_SIZE;
+}
+
+/**
+ * Get the distance between cell origins at the current zoom
+ * @returns {number} Size in CSS pixels (cell plus grid line)
+ */
+export function getCellPitch() {
+    return cellSize + GRID_LINE;
+}
+
+/**
+ * Get where the first grid line starts inside the canvas (after the label gutter)
+ * @returns {Object} {x, y} in CSS pixels
+ */
+export function getGridOrigin() {
+    return { x: gutter, y: gutter };
+}
+
+/**
+ * Subscribe to cell layer redraws
+ * @param {Function} listener - Called after full or dirty-cell redraws
+ */
+export function onGridDraw(listener) {
+    drawListeners.push(listener);
+}
+
+// ============================================
+// DRAWING HELPERS
+// ============================================
+
+function ensureCanvases(container) {
+    if (cellCanvas && container.contains(cellCanvas)) return;
+
+    container.innerHTML = '';
+    const stage = document.createElement('div');
+    stage.className = 'grid-stage';
+
+    cellCanvas = document.createElement('canvas');
+    cellCanvas.className = 'grid-canvas';
+    overlayCanvas = document.createElement('canvas');
+    overlayCanvas.className = 'grid-overlay';
+    overlayCanvas.setAttribute('role', 'img');
+    overlayCanvas.setAttribute('aria-label', 'Pattern grid');
+
+    stage.append(cellCanvas, overlayCanvas);
+    container.appendChild(stage);
+}
+
+function readCellSize(container) {
+    const value = parseFloat(getComputedStyle(container).getPropertyValue('--grid-cell-size'));
+    return isNaN(value) || value <= 0 ? DEFAULT_CELL_SIZE : value;
+}
+
+function getZoomedCellSize(container) {
+    return Math.max(2, Math.round(readCellSize(container) * state.zoom));
+}
+
+function notifyDraw() {
+    drawListeners.forEach((listener) => listener());
+}
+
+function getContext(canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    return ctx;
+}
+
+function getLabelFontSize() {
+    return Math.max(8, Math.min(12, Math.round(cellSize * 0.5)));
+}
+
+function getGutterSize() {
+    // Room for two digits
+    return Math.ceil(getLabelFontSize() * 1.6) + 6;
+}
+
+function getCanvasWidth() {
+    return gutter + state.gridWidth * (cellSize + GRID_LINE) + GRID_LINE;
+}
+
+function getCanvasHeight() {
+    return gutter + state.gridHeight * (cellSize + GRID_LINE) + GRID_LINE;
+}
+
+function cellX(col) {
+    return gutter + GRID_LINE + col * (cellSize + GRID_LINE);
+}
+
+function cellY(row) {
+    return gutter + GRID_LINE + row * (cellSize + GRID_LINE);
+}
+
+/**
+ * Draw row numbers in the left gutter and column numbers in the top gutter
+ * Small cells label every 2nd, 5th or 10th line so numbers never overlap.
+ */
+function drawNumbers(ctx) {
+    const fontSize = getLabelFontSize();
+    const pitch = cellSize + GRID_LINE;
+    const every = [1, 2, 5, 10].find((n) => n * pitch >= fontSize * 1.4) || 10;
+    const labelled = (i) => i === 0 || (i + 1) % every === 0;
+
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let col = 0; col < state.gridWidth; col++) {
+        if (labelled(col)) ctx.fillText(String(col + 1), cellX(col) + cellSize / 2, gutter / 2);
+    }
+    ctx.textAlign = 'right';
+    for (let row = 0; row < state.gridHeight; row++) {
+        if (labelled(row)) ctx.fillText(String(row + 1), gutter - 4, cellY(row) + cellSize / 2);
+    }
+}
+
+/**
+ * Draw the knotting guides: current row, bold gridlines and center markers
+ */
+function drawGuides(ctx) {
+    const { guides } = state;
+    const top = gutter;
+    const left = gutter;
+    const right = getCanvasWidth();
+    const bottom = getCanvasHeight();
+
+    if (guides.highlightRow && guides.currentRow < state.gridHeight) {
+        const y = cellY(guides.currentRow) - GRID_LINE;
+        const h = cellSize + GRID_LINE * 2;
+        ctx.fillStyle = ROW_HIGHLIGHT_COLOR;
+        ctx.fillRect(0, y, right, h);
+        ctx.strokeStyle = ROW_HIGHLIGHT_BORDER;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(left, y, right - left, h);
+    }
+
+    if (guides.majorEvery > 0) {
+        ctx.strokeStyle = MAJOR_LINE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let col = guides.majorEvery; col < state.gridWidth; col += guides.majorEvery) {
+            const x = cellX(col) - GRID_LINE / 2;
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+        }
+        for (let row = guides.majorEvery; row < state.gridHeight; row += guides.majorEvery) {
+            const y = cellY(row) - GRID_LINE / 2;
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+        }
+        ctx.stroke();
+    }
+
+    if (guides.centerMarkers) {
+        // Same convention as symmetry axes: .5 lands on the line between cells
+        const x = cellX((state.gridWidth - 1) / 2) + cellSize / 2;
+        const y = cellY((state.gridHeight - 1) / 2) + cellSize / 2;
+        const size = Math.max(4, gutter / 3);
+
+        ctx.strokeStyle = CENTER_COLOR;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = CENTER_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(x - size, top - size * 1.5);
+        ctx.lineTo(x + size, top - size * 1.5);
+        ctx.lineTo(x, top);
+        ctx.closePath();
+        ctx.moveTo(left - size * 1.5, y - size);
+        ctx.lineTo(left - size * 1.5, y + size);
+        ctx.lineTo(left, y);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+function drawCell(ctx, row, col) {
+    const color = state.gridData[row]?.[col];
+    const x = cellX(col);
+    const y = cellY(row);
+    const top = color ? getTopLayerAt(row, col) : null;
+
+    // Translucent layers blend with the layers below; unsynced edits draw solid
+    if (top && top.opacity < 1 && top.cells[cellKey(row, col)] === color) {
+        const key = cellKey(row, col);
+        ctx.fillStyle = EMPTY_CELL_COLOR;
+        ctx.fillRect(x, y, cellSize, cellSize);
+        state.layers.forEach((layer) => {
+            if (!layer.visible || !layer.cells[key]) return;
+            ctx.globalAlpha = layer.opacity;
+            ctx.fillStyle = layer.cells[key];
+            ctx.fillRect(x, y, cellSize, cellSize);
+        });
+        ctx.globalAlpha = 1;
+        return;
+    }
+
+    ctx.fillStyle = color || EMPTY_CELL_COLOR;
+    ctx.fillRect(x, y, cellSize, cellSize);
+}
+
+/**
+ * Pixel bounds of a cell rectangle, clipped to the grid
+ * @param {Object} rect - {row, col, width, height}
+ * @returns {Object|null} {x, y, w, h} or null if fully off-grid
+ */
+function rectBounds(rect) {
+    const top = Math.max(0, rect.row);
+    const left = Math.max(0, rect.col);
+    const bottom = Math.min(state.gridHeight, rect.row + rect.height);
+    const right = Math.min(state.gridWidth, rect.col + rect.width);
+    if (bottom <= top || right <= left) return null;
+
+    const x = cellX(left) - GRID_LINE / 2;
+    const y = cellY(top) - GRID_LINE / 2;
+    return { x, y, w: cellX(right) - GRID_LINE / 2 - x, h: cellY(bottom) - GRID_LINE / 2 - y };
+}
+
+function drawSelection(ctx, rect) {
+    const bounds = rect && rectBounds(rect);
+    if (!bounds) return;
+
+    ctx.fillStyle = SELECTION_TINT;
+    ctx.fillRect(bounds.x, bounds.y, bounds.w, bounds.h);
+    ctx.strokeStyle = SELECTION_COLOR;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([]);
+    ctx.strokeRect(bounds.x, bounds.y, bounds.w, bounds.h);
+}
+
+function drawFloatingSelection(ctx, floating) {
+    if (!floating) return;
+
+    floating.cells.forEach((cells, r) => {
+        cells.forEach((color, c) => {
+            const row = floating.row + r;
+            const col = floating.col + c;
+            if (!color || row < 0 || col < 0 || row >= state.gridHeight || col >= state.gridWidth) return;
+            ctx.fillStyle = color;
+            ctx.fillRect(cellX(col), cellY(row), cellSize, cellSize);
+        });
+    });
+
+    const bounds = rectBounds(floating);
+    if (!bounds) return;
+    ctx.strokeStyle = SELECTION_COLOR;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(bounds.x, bounds.y, bounds.w, bounds.h);
+    ctx.setLineDash([]);
+}
+
+/**
+ * Draw the symmetry axes; half-cell axes land on the grid line between cells
+ */
+function drawSymmetryGuides(ctx) {
+    const mode = state.symmetry.mode;
+    if (mode === 'none' || state.gridWidth === 0 || state.gridHeight === 0) return;
+
+    const { axisCol, axisRow } = getSymmetryAxes();
+    const x = cellX(axisCol) + cellSize / 2;
+    const y = cellY(axisRow) + cellSize / 2;
+    const width = getCanvasWidth();
+    const height = getCanvasHeight();
+    const faint = mode === 'rotate2' || mode === 'rotate4';
+
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = faint ? GUIDE_FAINT_COLOR : GUIDE_COLOR;
+    ctx.beginPath();
+    if (faint || mode === 'vertical' || mode === 'quadrant') {
+        ctx.moveTo(x, gutter);
+        ctx.lineTo(x, height);
+    }
+    if (faint || mode === 'horizontal' || mode === 'quadrant') {
+        ctx.moveTo(gutter, y);
+        ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+
+    if (faint) {
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fillStyle = GUIDE_COLOR;
+        ctx.fill();
+        ctx.strokeStyle = EMPTY_CELL_COLOR;
+        ctx.stroke();
+    }
+}
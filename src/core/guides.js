@@ -0,0 +1,124 @@
+/**
+ * @file guides.js
+ * @description Guide overlays that help makers keep their place
+ * Row/column numbers, bold gridlines every N cells, center markers and a
+ * highlighted current row. Settings live in state.guides and are saved with
+ * the design.
+ */
+
+import { state } from './state.js';
+import { renderGridCanvas, renderGridOverlay } from './gridRenderer.js';
+
+export const MAJOR_GRIDLINE_OPTIONS = [0, 5, 10];
+
+/**
+ * Default guide settings
+ * @returns {Object} Fresh guides object
+ */
+export function getDefaultGuides() {
+    return {
+        numbers: false,          // Row/column numbers along the top and left edges
+        majorEvery: 0,           // Bold gridline every N cells (0 = off)
+        centerMarkers: false,    // Mark the center column/row
+        highlightRow: false,     // Highlight state.guides.currentRow
+        currentRow: 0,           // 0-based row being worked on
+    };
+}
+
+/**
+ * Merge saved guide settings over the defaults, dropping invalid values
+ * @param {Object|undefined} saved - Guides object from a saved design
+ * @returns {Object} Valid guides object
+ */
+export function normalizeGuides(saved) {
+    const guides = getDefaultGuides();
+    if (!saved || typeof saved !== 'object') return guides;
+
+    guides.numbers = Boolean(saved.numbers);
+    guides.majorEvery = MAJOR_GRIDLINE_OPTIONS.includes(Number(saved.majorEvery)) ? Number(saved.majorEvery) : 0;
+    guides.centerMarkers = Boolean(saved.centerMarkers);
+    guides.highlightRow = Boolean(saved.highlightRow);
+    guides.currentRow = Math.max(0, parseInt(saved.currentRow, 10) || 0);
+    return guides;
+}
+
+/**
+ * Wire the guide controls in the editor toolbar
+ */
+export function initGuideControls() {
+    document.getElementById('guideNumbersToggle')?.addEventListener('change', (e) => {
+        setGuideOption('numbers', e.target.checked);
+    });
+    document.getElementById('guideMajorSelect')?.addEventListener('change', (e) => {
+        setGuideOption('majorEvery', Number(e.target.value));
+    });
+    document.getElementById('guideCenterToggle')?.addEventListener('change', (e) => {
+        setGuideOption('centerMarkers', e.target.checked);
+    });
+    document.getElementById('guideRowToggle')?.addEventListener('change', (e) => {
+        setGuideOption('highlightRow', e.target.checked);
+    });
+    document.getElementById('guideRowInput')?.addEventListener('change', (e) => {
+        setCurrentRow(parseInt(e.target.value, 10) - 1);
+    });
+    document.getElementById('guideRowPrevBtn')?.addEventListener('click', () => setCurrentRow(state.guides.currentRow - 1));
+    document.getElementById('guideRowNextBtn')?.addEventListener('click', () => setCurrentRow(state.guides.currentRow + 1));
+
+    syncGuideControls();
+}
+
+/**
+ * Show state.guides in the toolbar controls
+ */
+export function syncGuideControls() {
+    const { guides } = state;
+    const setChecked = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.checked = value;
+    };
+
+    setChecked('guideNumbersToggle', guides.numbers);
+    setChecked('guideCenterToggle', guides.centerMarkers);
+    setChecked('guideRowToggle', guides.highlightRow);
+
+    const majorSelect = document.getElementById('guideMajorSelect');
+    if (majorSelect) majorSelect.value = String(guides.majorEvery);
+
+    const rowInput = document.getElementById('guideRowInput');
+    if (rowInput) {
+        rowInput.max = state.gridHeight;
+        rowInput.value = Math.min(guides.currentRow, state.gridHeight - 1) + 1;
+    }
+    const rowControls = document.getElementById('guideRowControls');
+    if (rowControls) rowControls.style.display = guides.highlightRow ? '' : 'none';
+}
+
+/**
+ * Change one guide setting and redraw
+ * Numbers and center markers change the canvas size, so they need a full render.
+ * @param {string} key - Key of state.guides
+ * @param {boolean|number} value
+ */
+export function setGuideOption(key, value) {
+    state.guides = normalizeGuides({ ...state.guides, [key]: value });
+    syncGuideControls();
+
+    if (key === 'numbers' || key === 'centerMarkers') {
+        renderGridCanvas();
+    } else {
+        renderGridOverlay();
+    }
+}
+
+/**
+ * Move the current-row highlight
+ * Turns the highlight on, since picking a row implies wanting to see it.
+ * @param {number} row - 0-based row, clamped to the grid
+ */
+export function setCurrentRow(row) {
+    if (isNaN(row)) return;
+    state.guides.currentRow = Math.max(0, Math.min(state.gridHeight - 1, row));
+    state.guides.highlightRow = true;
+    syncGuideControls();
+    renderGridOverlay();
+}
@@ -9,6 +9,9 @@ import { hexToHsl, hslToHex, distanceBetweenColors, hexToRgb } from '../utils/co
 import { renderPalette } from './palette.js';
 import { renderGrid } from './grid.js';
 import { updateExport } from './export.js';
+import { recordChange } from './history.js';
+import { mapLayerColors } from './layers.js';
+import { getInventoryMatcher, inventoryPaletteColor } from './inventory.js';
 
 /**
  * Initialize color harmonizer UI
@@ -81,6 +84,12 @@ export function generateHarmonizerPalette(mode) {
             break;
     }
 
+    // Designing with the inventory: use the closest threads in stock instead
+    const toThread = getInventoryMatcher();
+    if (toThread) {
+        palette = [...new Set(palette.map((hex) => toThread(hex).hex))];
+    }
+
     state.harmonizerPalette = palette;
     renderHarmonizerOutput(palette);
 }
@@ -115,11 +124,10 @@ export function renderHarmonizerOutput(palette) {
 export function applyHarmonizerPalette() {
     if (!state.harmonizerPalette) return;
 
-    state.palette = state.harmonizerPalette.map((hex, i) => ({
-        hex,
-        label: `Color ${i + 1}`,
-    }));
-    state.selectedColor = state.palette[0];
+    recordChange('Apply harmonic palette', () => {
+        state.palette = state.harmonizerPalette.map((hex, i) => inventoryPaletteColor(hex, `Color ${i + 1}`));
+        state.selectedColor = state.palette[0];
+    });
 
     renderPalette();
     updateExport();
@@ -132,25 +140,22 @@ export function applyHarmonizerPalette() {
 export function recolorGridNearest() {
     if (!state.harmonizerPalette) return;
 
-    for (let y = 0; y < state.gridHeight; y++) {
-        for (let x = 0; x < state.gridWidth; x++) {
-            const currentColor = state.gridData[y][x];
-            if (currentColor) {
-                let nearest = state.harmonizerPalette[0];
-                let minDistance = Infinity;
-
-                for (let paletteColor of state.harmonizerPalette) {
-                    const dist = distanceBetweenColors(hexToRgb(currentColor), hexToRgb(paletteColor));
-                    if (dist < minDistance) {
-                        minDistance = dist;
-                        nearest = paletteColor;
-                    }
-                }
-
-                state.gridData[y][x] = nearest;
+    const nearestColor = (currentColor) => {
+        let nearest = state.harmonizerPalette[0];
+        let minDistance = Infinity;
+
+        for (let paletteColor of state.harmonizerPalette) {
+            const dist = distanceBetweenColors(hexToRgb(currentColor), hexToRgb(paletteColor));
+            if (dist < minDistance) {
+                minDistance = dist;
+                nearest = paletteColor;
             }
         }
-    }
+        return nearest;
+    };
+
+    // Recolor every layer, including hidden ones, so they still match when shown
+    recordChange('Recolor grid', () => mapLayerColors(nearestColor));
 
     renderGrid();
     updateExport();
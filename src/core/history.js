@@ -0,0 +1,211 @@
+/**
+ * @file history.js
+ * @description Undo/redo history for grid and palette mutations
+ * Every change to the design is recorded as a command with undo() and redo()
+ * so it can be reverted step by step.
+ */
+
+import { state } from './state.js';
+import { cloneLayers, syncLayersFromGrid, canEditActiveLayer } from './layers.js';
+
+const listeners = [];
+
+/**
+ * Capture a deep copy of the current design (grid, layers, palette, selection,
+ * normal knot chart)
+ * @returns {Object} Design snapshot
+ */
+export function captureDesign() {
+    return {
+        gridWidth: state.gridWidth,
+        gridHeight: state.gridHeight,
+        gridData: state.gridData.map((row) => row.slice()),
+        layers: cloneLayers(state.layers),
+        palette: state.palette.map((color) => ({ ...color })),
+        selectedColorHex: state.selectedColor ? state.selectedColor.hex : null,
+        normal: {
+            strings: state.normal.strings.slice(),
+            rows: state.normal.rows.map((row) => row.slice()),
+        },
+    };
+}
+
+/**
+ * Restore a design snapshot into state
+ * Lock and opacity are view settings, not history, so the current values are kept.
+ * @param {Object} snapshot - Result from captureDesign()
+ */
+export function restoreDesign(snapshot) {
+    state.gridWidth = snapshot.gridWidth;
+    state.gridHeight = snapshot.gridHeight;
+    state.gridData = snapshot.gridData.map((row) => row.slice());
+    state.layers = cloneLayers(snapshot.layers).map((layer) => {
+        const current = state.layers.find((l) => l.id === layer.id);
+        return current ? { ...layer, locked: current.locked, opacity: current.opacity } : layer;
+    });
+    state.palette = snapshot.palette.map((color) => ({ ...color }));
+    state.selectedColor = state.palette.find((c) => c.hex === snapshot.selectedColorHex)
+        || state.palette[0]
+        || null;
+    state.normal = {
+        strings: snapshot.normal.strings.slice(),
+        rows: snapshot.normal.rows.map((row) => row.slice()),
+    };
+}
+
+/**
+ * Create a command that swaps between two design snapshots
+ * @param {string} label - Human readable description (e.g. 'Paint cell')
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} after - Snapshot taken after the change
+ * @returns {Object} Command {label, undo, redo}
+ */
+export function createSnapshotCommand(label, before, after) {
+    return {
+        label,
+        undo: () => restoreDesign(before),
+        redo: () => restoreDesign(after),
+    };
+}
+
+/**
+ * Push an already-applied command onto the undo stack
+ * Clears the redo stack and trims the history to the configured depth.
+ * @param {Object} command - Command {label, undo, redo}
+ */
+export function pushCommand(command) {
+    state.undoStack.push(command);
+    state.redoStack = [];
+
+    while (state.undoStack.length > state.historyLimit) {
+        state.undoStack.shift();
+    }
+
+    notifyHistoryChange('push', command);
+}
+
+/**
+ * Apply a command and record it in history
+ * @param {Object} command - Command {label, undo, redo}
+ */
+export function executeCommand(command) {
+    command.redo();
+    pushCommand(command);
+}
+
+/**
+ * Run a mutation of the design and record it as one undoable step
+ * Nothing is recorded if the mutation leaves the design unchanged.
+ * @param {string} label - Human readable description
+ * @param {Function} mutate - Function that mutates state
+ * @returns {*} Return value of mutate
+ */
+export function recordChange(label, mutate) {
+    const before = captureDesign();
+    const result = mutate();
+    commitChange(label, before);
+    return result;
+}
+
+/**
+ * Record everything that changed since a snapshot as one undoable step
+ * Used for multi-event edits such as drag strokes, where the snapshot is
+ * taken on pointerdown and committed on pointerup. Cells written straight to
+ * state.gridData are moved into the active layer first; if that layer is
+ * locked or hidden the change is rolled back instead.
+ * @param {string} label - Human readable description
+ * @param {Object} before - Snapshot from captureDesign()
+ * @returns {boolean} True if a command was recorded
+ */
+export function commitChange(label, before) {
+    if (!syncLayersFromGrid(before)) {
+        restoreDesign(before);
+        canEditActiveLayer();
+        return false;
+    }
+
+    const after = captureDesign();
+    if (JSON.stringify(before) === JSON.stringify(after)) return false;
+
+    pushCommand(createSnapshotCommand(label, before, after));
+    return true;
+}
+
+/**
+ * Undo the most recent command
+ * @returns {Object|null} The undone command, or null if history is empty
+ */
+export function undo() {
+    const command = state.undoStack.pop();
+    if (!command) return null;
+
+    command.undo();
+    state.redoStack.push(command);
+    notifyHistoryChange('undo', command);
+    return command;
+}
+
+/**
+ * Redo the most recently undone command
+ * @returns {Object|null} The redone command, or null if nothing to redo
+ */
+export function redo() {
+    const command = state.redoStack.pop();
+    if (!command) return null;
+
+    command.redo();
+    state.undoStack.push(command);
+    notifyHistoryChange('redo', command);
+    return command;
+}
+
+/**
+ * @returns {boolean} True if there is a command to undo
+ */
+export function canUndo() {
+    return state.undoStack.length > 0;
+}
+
+/**
+ * @returns {boolean} True if there is a command to redo
+ */
+export function canRedo() {
+    return state.redoStack.length > 0;
+}
+
+/**
+ * Drop all recorded history (e.g. after loading a different design)
+ */
+export function clearHistory() {
+    state.undoStack = [];
+    state.redoStack = [];
+    notifyHistoryChange('clear', null);
+}
+
+/**
+ * Set the maximum number of undo steps kept in history
+ * @param {number} limit - Depth between 1 and 500
+ */
+export function setHistoryLimit(limit) {
+    const depth = parseInt(limit, 10);
+    if (isNaN(depth)) return;
+
+    state.historyLimit = Math.min(500, Math.max(1, depth));
+    while (state.undoStack.length > state.historyLimit) {
+        state.undoStack.shift();
+    }
+    notifyHistoryChange('limit', null);
+}
+
+/**
+ * Subscribe to history changes
+ * @param {Function} listener - Called with (type, command) where type is
+ *   'push', 'undo', 'redo', 'clear' or 'limit'
+ */
+export function onHistoryChange(listener) {
+    listeners.push(listener);
+}
+
+function notifyHistoryChange(type, command) {
+    listeners.forEach((listener) => listener(type, command));
+}
@@ -9,6 +9,9 @@ import { rgbToHex, hexToRgb, distanceBetweenColors } from '../utils/colorUtils.j
 import { renderGrid } from './grid.js';
 import { renderPalette } from './palette.js';
 import { updateExport } from './export.js';
+import { recordChange } from './history.js';
+import { setLayersFromGrid } from './layers.js';
+import { getInventoryMatcher, inventoryPaletteColor } from './inventory.js';
 
 /**
  * Initialize image worker
@@ -133,6 +136,7 @@ export function hideWorkerLoading() {
 export function handleWorkerComplete(result) {
     hideWorkerLoading();
     
+    result = snapResultToInventory(result);
     state.processedImageData = result;
     renderReducedPreview(result.pixelData, result.width, result.height);
     
@@ -277,7 +281,7 @@ export function processImageWithWorker(targetWidth, targetHeight, maxColors, det
 export function processImageFallback(targetWidth, targetHeight, maxColors) {
     try {
         const resizedPixels = resizeImageNearestNeighbor(state.uploadedImage, targetWidth, targetHeight);
-        const quantizedData = quantizeColorsMedianCut(resizedPixels, maxColors);
+        const quantizedData = snapResultToInventory(quantizeColorsMedianCut(resizedPixels, maxColors));
         const hexPixels = quantizedData.pixelData;
         const palette = quantizedData.palette;
 
@@ -516,25 +520,25 @@ export async function handleSendToGrid() {
 
     const { pixelData, width, height, palette } = state.processedImageData;
 
-    state.gridWidth = width;
-    state.gridHeight = height;
-    state.gridData = pixelData;
+    recordChange('Send image to grid', () => {
+        state.gridWidth = width;
+        state.gridHeight = height;
+        // An imported image is a fresh design: its cells start on the background layer
+        setLayersFromGrid(pixelData);
 
-    const uniqueColors = new Set();
-    for (let row of pixelData) {
-        for (let color of row) {
-            if (color) uniqueColors.add(color);
+        const uniqueColors = new Set();
+        for (let row of pixelData) {
+            for (let color of row) {
+                if (color) uniqueColors.add(color);
+            }
         }
-    }
 
-    state.palette = Array.from(uniqueColors).map((hex, index) => ({
-        hex,
-        label: `Color ${index + 1}`,
-    }));
+        state.palette = Array.from(uniqueColors).map((hex, index) => inventoryPaletteColor(hex, `Color ${index + 1}`));
 
-    if (state.palette.length > 0) {
-        state.selectedColor = state.palette[0];
-    }
+        if (state.palette.length > 0) {
+            state.selectedColor = state.palette[0];
+        }
+    });
 
     document.getElementById('widthInput').value = width;
     document.getElementById('heightInput').value = height;
@@ -552,3 +556,19 @@ export async function handleSendToGrid() {
         }, 500);
     }
 }
+
+// When designing with the inventory, replace each quantized color with the closest thread in stock
+function snapResultToInventory(result) {
+    const toThread = getInventoryMatcher();
+    if (!toThread) return result;
+
+    const pixelData = result.pixelData.map((row) => row.map((color) => (color ? toThread(color).hex : null)));
+    const colors = new Set(pixelData.flat().filter(Boolean));
+    const palette = [...colors].map((hex) => inventoryPaletteColor(hex, ''));
+    return {
+        ...result,
+        pixelData,
+        palette,
+        ...(result.stats && { stats: { ...result.stats, finalColors: palette.length } }),
+    };
+}
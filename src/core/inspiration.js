@@ -8,6 +8,8 @@ import { showNotification } from '../utils/notifications.js';
 import { renderPalette } from './palette.js';
 import { renderGrid } from './grid.js';
 import { updateExport } from './export.js';
+import { recordChange } from './history.js';
+import { setLayersFromGrid } from './layers.js';
 
 /**
  * Initialize inspiration gallery UI
@@ -156,11 +158,13 @@ export function showInspirationModal(inspo) {
  * @param {Object} inspo - Inspiration object
  */
 export function applyInspirationPalette(inspo) {
-    state.palette = inspo.colors.map((hex, i) => ({
-        hex,
-        label: `Color ${i + 1}`,
-    }));
-    state.selectedColor = state.palette[0];
+    recordChange('Apply inspiration palette', () => {
+        state.palette = inspo.colors.map((hex, i) => ({
+            hex,
+            label: `Color ${i + 1}`,
+        }));
+        state.selectedColor = state.palette[0];
+    });
 
     renderPalette();
     updateExport();
@@ -186,14 +190,16 @@ export function applyInspirationPattern(inspo) {
         })
     );
 
-    state.gridWidth = size;
-    state.gridHeight = size;
-    state.gridData = gridData;
-    state.palette = inspo.colors.map((hex, i) => ({
-        hex,
-        label: `Color ${i + 1}`,
-    }));
-    state.selectedColor = state.palette[0];
+    recordChange('Apply inspiration pattern', () => {
+        state.gridWidth = size;
+        state.gridHeight = size;
+        setLayersFromGrid(gridData);
+        state.palette = inspo.colors.map((hex, i) => ({
+            hex,
+            label: `Color ${i + 1}`,
+        }));
+        state.selectedColor = state.palette[0];
+    });
 
     document.getElementById('widthInput').value = size;
     document.getElementById('heightInput').value = size;
@@ -0,0 +1,291 @@
+/**
+ * @file inventory.js
+ * @description Thread inventory: the floss you own and how much is left
+ * The inventory is saved in localStorage. With "design with my threads" on,
+ * the image importer, harmonizer and templates only use inventory colors,
+ * each color going to the closest-looking thread (CIEDE2000). The stock check
+ * compares the Thread Calculator lengths with the meters in stock.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { hexToLab, deltaE } from '../utils/colorUtils.js';
+import { onNextFrame } from '../utils/canvas.js';
+import { getThreadInventory, saveThreadInventory } from './storage.js';
+import { loadFlossCatalog } from './floss.js';
+import { onHistoryChange } from './history.js';
+import { calculateThreads, formatLength } from './threadCalculator.js';
+
+const scheduleStockCheck = onNextFrame(renderStockCheck);
+let wasShort = false;
+
+/**
+ * Wire the thread inventory panel and the stock check
+ */
+export function initThreadInventory() {
+    state.inventory.constrain = getThreadInventory().constrain;
+
+    const toggle = document.getElementById('inventoryConstrainToggle');
+    if (toggle) toggle.checked = state.inventory.constrain;
+    toggle?.addEventListener('change', () => setInventoryConstrained(toggle.checked));
+
+    document.getElementById('addInventoryThreadBtn')?.addEventListener('click', () => {
+        const brand = document.getElementById('inventoryBrandSelect')?.value || 'dmc';
+        const codeInput = document.getElementById('inventoryCodeInput');
+        const meters = parseFloat(document.getElementById('inventoryMetersInput')?.value);
+        addInventoryThread(brand, codeInput?.value || '', meters).then((added) => {
+            if (added && codeInput) codeInput.value = '';
+        });
+    });
+    document.getElementById('inventoryCodeInput')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') document.getElementById('addInventoryThreadBtn')?.click();
+    });
+
+    const list = document.getElementById('inventoryList');
+    list?.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-inventory-meters]');
+        if (input) setInventoryMeters(Number(input.dataset.inventoryMeters), parseFloat(input.value));
+    });
+    list?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-inventory-remove]');
+        if (btn) removeInventoryThread(Number(btn.dataset.inventoryRemove));
+    });
+
+    onHistoryChange(scheduleStockCheck);
+    renderThreadInventory();
+}
+
+/**
+ * Threads in the inventory
+ * @returns {Array} [{catalog, brand, code, name, hex, meters}]
+ */
+export function getInventoryThreads() {
+    return getThreadInventory().threads;
+}
+
+/**
+ * Add a thread to the inventory, or add to its meters if it is already there
+ * @param {string} brand - Key of FLOSS_BRANDS
+ * @param {string} code - Thread number
+ * @param {number} meters - Meters in stock
+ * @returns {Promise<boolean>} True if the inventory changed
+ */
+export async function addInventoryThread(brand, code, meters) {
+    code = String(code).trim();
+    if (!code) {
+        showNotification('Enter a thread number.', 'error');
+        return false;
+    }
+    if (isNaN(meters) || meters < 0) {
+        showNotification('Enter the meters you have left.', 'error');
+        return false;
+    }
+
+    const catalog = await loadFlossCatalog(brand);
+    if (!catalog) return false;
+    const floss = catalog.colors.find((c) => c.code.toLowerCase() === code.toLowerCase());
+    if (!floss) {
+        showNotification(`${catalog.brand} ${code} is not in the catalogue.`, 'error');
+        return false;
+    }
+
+    const inventory = getThreadInventory();
+    let thread = inventory.threads.find((t) => t.catalog === brand && t.code === floss.code);
+    if (thread) {
+        thread.meters = roundMeters(thread.meters + meters);
+    } else {
+        thread = { catalog: brand, brand: catalog.brand, code: floss.code, name: floss.name, hex: floss.hex, meters: roundMeters(meters) };
+        inventory.threads.push(thread);
+    }
+    saveThreadInventory(inventory);
+    renderThreadInventory();
+    showNotification(`${thread.brand} ${thread.code} ${thread.name}: ${thread.meters} m in stock.`, 'success');
+    return true;
+}
+
+/**
+ * Set the meters left of an inventory thread
+ * @param {number} index - Position in getInventoryThreads()
+ * @param {number} meters
+ */
+export function setInventoryMeters(index, meters) {
+    const inventory = getThreadInventory();
+    const thread = inventory.threads[index];
+    if (!thread) return;
+    thread.meters = isNaN(meters) ? thread.meters : roundMeters(Math.max(0, meters));
+    saveThreadInventory(inventory);
+    renderThreadInventory();
+}
+
+/**
+ * Remove a thread from the inventory
+ * @param {number} index - Position in getInventoryThreads()
+ */
+export function removeInventoryThread(index) {
+    const inventory = getThreadInventory();
+    if (!inventory.threads[index]) return;
+    inventory.threads.splice(index, 1);
+    if (inventory.threads.length === 0) inventory.constrain = false;
+    state.inventory.constrain = inventory.constrain;
+    saveThreadInventory(inventory);
+    renderThreadInventory();
+}
+
+/**
+ * Turn "design with my threads" on or off
+ * @param {boolean} constrain
+ */
+export function setInventoryConstrained(constrain) {
+    const inventory = getThreadInventory();
+    if (constrain && inventory.threads.length === 0) {
+        showNotification('Add threads to your inventory first.', 'warning');
+        constrain = false;
+    }
+    inventory.constrain = constrain;
+    state.inventory.constrain = constrain;
+    saveThreadInventory(inventory);
+    renderThreadInventory();
+}
+
+/**
+ * Map colors to the closest-looking inventory thread, when designing with the inventory
+ * Threads with no meters left are skipped unless nothing is left at all.
+ * @returns {Function|null} (hex) => thread, or null when not designing with the inventory
+ */
+export function getInventoryMatcher() {
+    const threads = getInventoryThreads();
+    if (!state.inventory.constrain || threads.length === 0) return null;
+
+    const inStock = threads.filter((t) => t.meters > 0);
+    const candidates = (inStock.length > 0 ? inStock : threads).map((thread) => ({ thread, lab: hexToLab(thread.hex) }));
+    const cache = new Map();
+
+    return (hex) => {
+        if (!cache.has(hex)) {
+            const lab = hexToLab(hex);
+            let nearest = candidates[0];
+            let minDistance = Infinity;
+            for (const candidate of candidates) {
+                const dist = deltaE(lab, candidate.lab);
+                if (dist < minDistance) {
+                    minDistance = dist;
+                    nearest = candidate;
+                }
+            }
+            cache.set(hex, nearest.thread);
+        }
+        return cache.get(hex);
+    };
+}
+
+/**
+ * Palette entry for a color, carrying the thread if the color is in the inventory
+ * @param {string} hex
+ * @param {string} label - Used when the color is not an inventory thread
+ * @returns {Object} {hex, label} or {hex, label, floss: {catalog, brand, code, name}}
+ */
+export function inventoryPaletteColor(hex, label) {
+    const thread = getInventoryThreads().find((t) => t.hex === hex.toLowerCase());
+    if (!thread) return { hex, label };
+    return {
+        hex,
+        label: thread.name,
+        floss: { catalog: thread.catalog, brand: thread.brand, code: thread.code, name: thread.name },
+    };
+}
+
+/**
+ * Compare the thread the design needs with the inventory
+ * @returns {Object|null} null when nothing is painted, otherwise
+ *   {short: [{color, letter, threads, needCm, haveCm}], missing: [{color, letter, needCm}]}
+ *   Colors are matched to threads by hex; missing colors have no inventory thread.
+ */
+export function checkThreadStock() {
+    const result = calculateThreads();
+    if (!result) return null;
+
+    const threads = getInventoryThreads();
+    const short = [];
+    const missing = [];
+    result.colors.forEach(({ color, letter, lengthCm }) => {
+        const owned = threads.filter((t) => t.hex === color.toLowerCase());
+        if (owned.length === 0) {
+            missing.push({ color, letter, needCm: lengthCm });
+            return;
+        }
+        const haveCm = Math.round(owned.reduce((sum, t) => sum + t.meters, 0) * 100);
+        if (lengthCm > haveCm) short.push({ color, letter, threads: owned, needCm: lengthCm, haveCm });
+    });
+    return { short, missing };
+}
+
+/**
+ * Render the inventory list and the stock check in the panel
+ */
+export function renderThreadInventory() {
+    const threads = getInventoryThreads();
+    const list = document.getElementById('inventoryList');
+    if (list) {
+        list.innerHTML = threads.length === 0
+            ? '<p class="thread-note">No threads yet. Add the floss you own to design with it.</p>'
+            : `
+                <table class="thread-table inventory-table">
+                    <thead>
+                        <tr><th>Thread</th><th>Meters</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${threads.map((t, i) => `
+                            <tr>
+                                <td><span class="thread-swatch" style="background-color: ${t.hex};"></span>${t.brand} ${t.code} ${t.name}</td>
+                                <td><input type="number" class="size-input" data-inventory-meters="${i}" value="${t.meters}" min="0" step="0.5" aria-label="Meters of ${t.brand} ${t.code} left"></td>
+                                <td><button class="palette-remove" data-inventory-remove="${i}" aria-label="Remove ${t.brand} ${t.code}">×</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    const toggle = document.getElementById('inventoryConstrainToggle');
+    if (toggle) toggle.checked = state.inventory.constrain;
+
+    renderStockCheck();
+}
+
+// Warn once each time the design goes from enough thread to too little
+function renderStockCheck() {
+    const output = document.getElementById('inventoryStock');
+    const stock = getInventoryThreads().length > 0 ? checkThreadStock() : null;
+    const isShort = !!stock && stock.short.length > 0;
+
+    if (output) {
+        let html = '';
+        if (stock && stock.short.length > 0) {
+            html += `
+                <div class="inventory-warning">
+                    Not enough thread in stock:
+                    <ul>
+                        ${stock.short.map((s) => `
+                            <li><span class="thread-swatch" style="background-color: ${s.color};"></span>${s.letter} ${s.threads[0].brand} ${s.threads[0].code}: needs ${formatLength(s.needCm)}, ${formatLength(s.haveCm)} left</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        } else if (stock && stock.missing.length === 0) {
+            html += '<p class="thread-note">Enough thread in stock for this design.</p>';
+        }
+        if (stock && stock.missing.length > 0) {
+            html += `<p class="inventory-warning">${stock.missing.map((m) => m.letter).join(', ')} ${stock.missing.length === 1 ? 'is' : 'are'} not in your inventory.</p>`;
+        }
+        output.innerHTML = html;
+    }
+
+    if (isShort && !wasShort) {
+        showNotification(`This design needs more thread than you have of ${stock.short.map((s) => `${s.threads[0].brand} ${s.threads[0].code}`).join(', ')}.`, 'warning');
+    }
+    wasShort = isShort;
+}
+
+function roundMeters(meters) {
+    return Math.round(meters * 10) / 10;
+}
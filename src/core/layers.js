@@ -0,0 +1,433 @@
+/**
+ * @file layers.js
+ * @description Design layers (background, motif, text, border)
+ * Each layer is a sparse map of "row,col" → hex. state.gridData stays the
+ * flattened composite of the visible layers, so export, difficulty analysis
+ * and the renderer keep reading one 2D array.
+ *
+ * Editing tools keep writing to state.gridData. When history records a change,
+ * syncLayersFromGrid() moves every cell that no longer matches the composite
+ * into the active layer and re-flattens. Whole-grid geometry changes use
+ * mapLayers() so every layer moves together. Because only differences are
+ * folded in, painting the exact color already showing from a lower layer
+ * leaves the active layer untouched; updateLayer() writes directly.
+ */
+
+import { state } from './state.js';
+import { resizeCells } from './resize.js';
+import { showNotification } from '../utils/notifications.js';
+
+export const LAYER_DEFINITIONS = [
+    { id: 'background', name: 'Background' },
+    { id: 'motif', name: 'Motif' },
+    { id: 'text', name: 'Text' },
+    { id: 'border', name: 'Border' },
+];
+
+export const DEFAULT_ACTIVE_LAYER = 'motif';
+
+/**
+ * Build the default layer stack, bottom to top, all empty
+ * @returns {Object[]} Layers {id, name, visible, locked, opacity, cells}
+ */
+export function createDefaultLayers() {
+    return LAYER_DEFINITIONS.map(({ id, name }) => ({
+        id,
+        name,
+        visible: true,
+        locked: false,
+        opacity: 1,
+        cells: {},
+    }));
+}
+
+/**
+ * @param {number} row
+ * @param {number} col
+ * @returns {string} Sparse map key
+ */
+export function cellKey(row, col) {
+    return `${row},${col}`;
+}
+
+/**
+ * Deep-copy a layer stack
+ * @param {Object[]} layers
+ * @returns {Object[]}
+ */
+export function cloneLayers(layers) {
+    return layers.map((layer) => ({ ...layer, cells: { ...layer.cells } }));
+}
+
+/**
+ * @returns {Object|null} The layer edits go to
+ */
+export function getActiveLayer() {
+    return state.layers.find((layer) => layer.id === state.activeLayerId) || null;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getLayer(id) {
+    return state.layers.find((layer) => layer.id === id) || null;
+}
+
+/**
+ * Check whether a layer accepts edits, warning the user if not
+ * @param {Object|null} layer
+ * @param {boolean} notify - Show a notification when the layer is locked or hidden
+ * @returns {boolean} True if edits are allowed
+ */
+export function canEditLayer(layer, notify = true) {
+    if (!layer || (!layer.locked && layer.visible)) return true;
+
+    if (notify) {
+        const reason = layer.locked ? 'locked' : 'hidden';
+        showNotification(`The ${layer.name} layer is ${reason}. Pick another layer or ${layer.locked ? 'unlock' : 'show'} it to edit.`, 'warning');
+    }
+    return false;
+}
+
+/**
+ * Check whether the active layer accepts edits, warning the user if not
+ * @param {boolean} notify - Show a notification when the layer is locked or hidden
+ * @returns {boolean} True if edits are allowed
+ */
+export function canEditActiveLayer(notify = true) {
+    return canEditLayer(getActiveLayer(), notify);
+}
+
+/**
+ * Expand a layer into a dense 2D array
+ * @param {Object} layer
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<Array<string|null>>}
+ */
+export function layerToGrid(layer, width = state.gridWidth, height = state.gridHeight) {
+    const grid = Array.from({ length: height }, () => Array(width).fill(null));
+    Object.entries(layer.cells).forEach(([key, hex]) => {
+        const [row, col] = key.split(',').map(Number);
+        if (row < height && col < width) grid[row][col] = hex;
+    });
+    return grid;
+}
+
+/**
+ * Convert a dense 2D array into a sparse cell map
+ * @param {Array<Array<string|null>>} grid
+ * @returns {Object} "row,col" → hex
+ */
+export function gridToLayerCells(grid) {
+    const cells = {};
+    grid.forEach((row, r) => {
+        row.forEach((hex, c) => {
+            if (hex) cells[cellKey(r, c)] = hex;
+        });
+    });
+    return cells;
+}
+
+/**
+ * Flatten visible layers into one 2D array (upper layers win)
+ * @param {Object[]} layers - Bottom to top
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<Array<string|null>>}
+ */
+export function flattenLayers(layers = state.layers, width = state.gridWidth, height = state.gridHeight) {
+    const grid = Array.from({ length: height }, () => Array(width).fill(null));
+    layers.forEach((layer) => {
+        if (!layer.visible) return;
+        Object.entries(layer.cells).forEach(([key, hex]) => {
+            const [row, col] = key.split(',').map(Number);
+            if (row < height && col < width) grid[row][col] = hex;
+        });
+    });
+    return grid;
+}
+
+/**
+ * Rebuild state.gridData from the layers
+ */
+export function compositeLayers() {
+    state.gridData = flattenLayers();
+}
+
+/**
+ * Find the topmost visible layer with a color in a cell
+ * @param {number} row
+ * @param {number} col
+ * @returns {Object|null}
+ */
+export function getTopLayerAt(row, col) {
+    const key = cellKey(row, col);
+    for (let i = state.layers.length - 1; i >= 0; i--) {
+        const layer = state.layers[i];
+        if (layer.visible && layer.cells[key]) return layer;
+    }
+    return null;
+}
+
+/**
+ * Get the active layer as a dense 2D array (for lifting, copying, transforming a selection)
+ * @returns {Array<Array<string|null>>}
+ */
+export function getEditableGrid() {
+    const layer = getActiveLayer();
+    return layer ? layerToGrid(layer) : state.gridData;
+}
+
+/**
+ * Replace the layer stack with default layers holding one flat grid
+ * Used for new designs, templates and legacy saves without layers.
+ * @param {Array<Array<string|null>>} gridData - Flat design
+ * @param {string} layerId - Layer that receives the content
+ */
+export function setLayersFromGrid(gridData = state.gridData, layerId = 'background') {
+    state.layers = createDefaultLayers();
+    const cells = gridToLayerCells(gridData);
+    const hasContent = Object.keys(cells).length > 0;
+
+    getLayer(layerId).cells = cells;
+    state.activeLayerId = hasContent ? layerId : DEFAULT_ACTIVE_LAYER;
+    compositeLayers();
+}
+
+/**
+ * Restore a saved layer stack, falling back to the flat grid for older saves
+ * @param {Object[]|undefined} saved - Layers from a saved design
+ * @param {string|undefined} activeLayerId
+ */
+export function loadLayers(saved, activeLayerId) {
+    if (!Array.isArray(saved) || saved.length === 0) {
+        setLayersFromGrid(state.gridData);
+        return;
+    }
+
+    const defaults = createDefaultLayers();
+    state.layers = saved
+        .filter((layer) => layer && typeof layer.id === 'string')
+        .map((layer) => ({
+            id: layer.id,
+            name: layer.name || defaults.find((d) => d.id === layer.id)?.name || layer.id,
+            visible: layer.visible !== false,
+            locked: Boolean(layer.locked),
+            opacity: clampOpacity(layer.opacity),
+            cells: { ...(layer.cells || {}) },
+        }));
+    // Add any standard layers missing from the save
+    defaults.forEach((layer) => {
+        if (!getLayer(layer.id)) state.layers.push(layer);
+    });
+
+    state.activeLayerId = getLayer(activeLayerId) ? activeLayerId : DEFAULT_ACTIVE_LAYER;
+    compositeLayers();
+}
+
+/**
+ * Fold edits made directly to state.gridData into the active layer
+ * Cells that differ from the composite are written to (or erased from) the
+ * active layer. If the grid size changed without mapLayers(), the active layer
+ * takes the whole new grid and the other layers are cropped/padded from the
+ * top-left.
+ * @param {Object} before - Snapshot taken before the edit (captureDesign)
+ * @returns {boolean} False if the active layer is locked or hidden and the edit must be undone
+ */
+export function syncLayersFromGrid(before) {
+    const active = getActiveLayer();
+    if (!active) return true;
+
+    const flat = flattenLayers();
+    const sizeChanged = before.gridWidth !== state.gridWidth || before.gridHeight !== state.gridHeight;
+
+    const changes = [];
+    for (let row = 0; row < state.gridHeight; row++) {
+        for (let col = 0; col < state.gridWidth; col++) {
+            const value = state.gridData[row]?.[col] ?? null;
+            if (value !== flat[row][col]) changes.push([row, col, value]);
+        }
+    }
+    if (changes.length === 0) return true;
+    if (!canEditActiveLayer(false)) return false;
+
+    if (sizeChanged) {
+        state.layers.forEach((layer) => {
+            if (layer === active) return;
+            const grid = resizeCells(layerToGrid(layer, before.gridWidth, before.gridHeight),
+                state.gridWidth, state.gridHeight, 'top-left');
+            layer.cells = gridToLayerCells(grid);
+        });
+        active.cells = gridToLayerCells(state.gridData);
+    } else {
+        changes.forEach(([row, col, value]) => {
+            const key = cellKey(row, col);
+            if (value) {
+                active.cells[key] = value;
+            } else {
+                delete active.cells[key];
+            }
+        });
+    }
+
+    compositeLayers();
+    return true;
+}
+
+/**
+ * Apply a whole-grid transform to every layer and re-flatten
+ * @param {Function} transform - (2D array, layer) → 2D array; may change the size
+ */
+export function mapLayers(transform) {
+    const width = state.gridWidth;
+    const height = state.gridHeight;
+    let result = null;
+
+    state.layers.forEach((layer) => {
+        result = transform(layerToGrid(layer, width, height), layer);
+        layer.cells = gridToLayerCells(result);
+    });
+
+    const sized = result || transform(state.gridData);
+    state.gridHeight = sized.length;
+    state.gridWidth = sized.length > 0 ? sized[0].length : 0;
+    compositeLayers();
+}
+
+/**
+ * Edit one layer as a dense 2D array and re-flatten
+ * Use this instead of writing to state.gridData when the edit must land on a
+ * specific layer even where the composite would not change.
+ * @param {string} id - Layer to edit
+ * @param {Function} edit - (2D array) → void; mutates the array in place
+ */
+export function updateLayer(id, edit) {
+    const layer = getLayer(id);
+    if (!layer) return;
+    const grid = layerToGrid(layer);
+    edit(grid);
+    layer.cells = gridToLayerCells(grid);
+    compositeLayers();
+}
+
+/**
+ * Edit the active layer as a dense 2D array and re-flatten
+ * @param {Function} edit - (2D array) → void; mutates the array in place
+ */
+export function updateActiveLayer(edit) {
+    updateLayer(state.activeLayerId, edit);
+}
+
+/**
+ * Map every color on every layer (e.g. recoloring to a new palette)
+ * @param {Function} mapColor - (hex) → hex
+ */
+export function mapLayerColors(mapColor) {
+    state.layers.forEach((layer) => {
+        Object.keys(layer.cells).forEach((key) => {
+            layer.cells[key] = mapColor(layer.cells[key]);
+        });
+    });
+    compositeLayers();
+}
+
+// ============================================
+// LAYER OPERATIONS
+// ============================================
+
+/**
+ * @param {string} id - Layer to edit
+ */
+export function setActiveLayer(id) {
+    if (getLayer(id)) state.activeLayerId = id;
+}
+
+/**
+ * @param {string} id
+ * @param {boolean} visible
+ */
+export function setLayerVisibility(id, visible) {
+    const layer = getLayer(id);
+    if (!layer) return;
+    layer.visible = visible;
+    compositeLayers();
+}
+
+/**
+ * @param {string} id
+ * @param {boolean} locked
+ */
+export function setLayerLocked(id, locked) {
+    const layer = getLayer(id);
+    if (layer) layer.locked = locked;
+}
+
+/**
+ * Set the on-screen opacity of a layer (preview only; export is unaffected)
+ * @param {string} id
+ * @param {number} opacity - 0.1 to 1
+ */
+export function setLayerOpacity(id, opacity) {
+    const layer = getLayer(id);
+    if (layer) layer.opacity = clampOpacity(opacity);
+}
+
+/**
+ * Move a layer up (toward the top) or down the stack
+ * @param {string} id
+ * @param {number} direction - +1 for up, -1 for down
+ * @returns {boolean} True if the layer moved
+ */
+export function moveLayer(id, direction) {
+    const index = state.layers.findIndex((layer) => layer.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= state.layers.length) return false;
+
+    const [layer] = state.layers.splice(index, 1);
+    state.layers.splice(target, 0, layer);
+    compositeLayers();
+    return true;
+}
+
+/**
+ * Merge a layer into the one below it; the merged layer is left empty
+ * @param {string} id
+ * @returns {boolean} True if anything merged
+ */
+export function mergeLayerDown(id) {
+    const index = state.layers.findIndex((layer) => layer.id === id);
+    if (index <= 0) return false;
+
+    const upper = state.layers[index];
+    const lower = state.layers[index - 1];
+    if (Object.keys(upper.cells).length === 0) return false;
+
+    lower.cells = { ...lower.cells, ...upper.cells };
+    upper.cells = {};
+    compositeLayers();
+    return true;
+}
+
+/**
+ * @returns {boolean} True if any visible layer is drawn translucent on screen
+ */
+export function hasTranslucentLayers() {
+    return state.layers.some((layer) => layer.visible && layer.opacity < 1);
+}
+
+/**
+ * Count painted cells on a layer
+ * @param {Object} layer
+ * @returns {number}
+ */
+export function countLayerCells(layer) {
+    return Object.keys(layer.cells).length;
+}
+
+function clampOpacity(value) {
+    const num = parseFloat(value);
+    if (isNaN(num)) return 1;
+    return Math.min(1, Math.max(0.1, num));
+}
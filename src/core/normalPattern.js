@@ -0,0 +1,215 @@
+/**
+ * @file normalPattern.js
+ * @description Normal (diagonal) bracelet patterns: string colors, knot chart
+ * and color propagation
+ * Knots tie neighbouring strings in staggered rows: even rows (0-based) pair
+ * strings 0-1, 2-3, …; odd rows pair 1-2, 3-4, …. The knot takes the color of
+ * the string that ties it:
+ *   f  forward (↘)           left string ties, the strings swap places
+ *   b  backward (↙)          right string ties, the strings swap places
+ *   fb forward-backward (>)  left string ties, the strings stay put
+ *   bf backward-forward (<)  right string ties, the strings stay put
+ */
+
+import { state } from './state.js';
+import { recordChange } from './history.js';
+
+export const KNOT_TYPES = ['f', 'b', 'fb', 'bf'];
+export const KNOT_SYMBOLS = { f: '↘', b: '↙', fb: '>', bf: '<' };
+export const KNOT_NAMES = { f: 'Forward', b: 'Backward', fb: 'Forward-backward', bf: 'Backward-forward' };
+
+export const MIN_STRINGS = 2;
+export const MAX_STRINGS = 40;
+export const MIN_ROWS = 2;
+export const MAX_ROWS = 80;
+
+const DEFAULT_STRINGS = 8;
+const DEFAULT_ROWS = 8;
+const FALLBACK_COLORS = ['#a8d8ea', '#d4c5f9', '#ffc0cb', '#ffe4b5'];
+
+/**
+ * Number of knots in a row
+ * @param {number} stringCount
+ * @param {number} row - 0-based row index
+ * @returns {number}
+ */
+export function getKnotCount(stringCount, row) {
+    return row % 2 === 0 ? Math.floor(stringCount / 2) : Math.floor((stringCount - 1) / 2);
+}
+
+/**
+ * Default pattern: a chevron in up to four palette colors, mirrored around
+ * the middle, with forward knots on the left half and backward on the right
+ * @param {Array<Object>} palette - Palette entries {hex, label}
+ * @returns {Object} Pattern {strings, rows}
+ */
+export function createDefaultNormalPattern(palette = []) {
+    const colors = palette.length > 0 ? palette.slice(0, DEFAULT_STRINGS / 2).map((c) => c.hex) : FALLBACK_COLORS;
+    const half = Array.from({ length: DEFAULT_STRINGS / 2 }, (_, i) => colors[i % colors.length]);
+    const strings = [...half, ...half.slice().reverse()];
+
+    const rows = Array.from({ length: DEFAULT_ROWS }, (_, r) => (
+        Array.from({ length: getKnotCount(DEFAULT_STRINGS, r) }, (_, k) => {
+            const left = (r % 2) + k * 2;
+            if (left + 1 < DEFAULT_STRINGS / 2) return 'f';
+            if (left >= DEFAULT_STRINGS / 2) return 'b';
+            return 'fb';
+        })
+    ));
+    return { strings, rows };
+}
+
+/**
+ * Follow the strings through the chart and color every knot
+ * @param {Object} pattern - {strings, rows}
+ * @param {number} [repeats=1] - Times to run through the chart, carrying the
+ *   string order over from one repeat to the next
+ * @returns {Object} {rows: [[{type, color, left}]], edges: [{left, right}], finalStrings}
+ *   left - Index of the left string of the knot's pair
+ *   edges - Per row, the color of an unknotted string at either edge, or null
+ *   finalStrings - String colors left to right after the last row
+ */
+export function computeNormalKnots(pattern, repeats = 1) {
+    const strings = pattern.strings.slice();
+    const count = strings.length;
+    const rows = [];
+    const edges = [];
+
+    for (let pass = 0; pass < repeats; pass++) {
+        pattern.rows.forEach((types, r) => {
+            const offset = r % 2;
+            edges.push({
+                left: offset === 1 ? strings[0] : null,
+                right: offset + types.length * 2 < count ? strings[count - 1] : null,
+            });
+            rows.push(types.map((type, k) => {
+                const left = offset + k * 2;
+                const a = strings[left];
+                const b = strings[left + 1];
+                if (type === 'f' || type === 'b') {
+                    strings[left] = b;
+                    strings[left + 1] = a;
+                }
+                return { type, color: type === 'f' || type === 'fb' ? a : b, left };
+            }));
+        });
+    }
+    return { rows, edges, finalStrings: strings };
+}
+
+/**
+ * Whether the strings end in the order they started, so the chart can be
+ * knotted again without a visible seam
+ * @param {Object} pattern - {strings, rows}
+ * @returns {boolean}
+ */
+export function isSeamless(pattern) {
+    const { finalStrings } = computeNormalKnots(pattern);
+    return finalStrings.every((color, i) => color === pattern.strings[i]);
+}
+
+/**
+ * Next knot type in the f → b → fb → bf cycle
+ * @param {string} type - Current knot type
+ * @param {number} [step=1] - 1 for the next type, -1 for the previous one
+ * @returns {string}
+ */
+export function nextKnotType(type, step = 1) {
+    const index = KNOT_TYPES.indexOf(type);
+    return KNOT_TYPES[(index + step + KNOT_TYPES.length) % KNOT_TYPES.length];
+}
+
+/**
+ * Change the number of strings and rows, keeping existing knots and colors
+ * Rows are kept even so the chart repeats with the same stagger.
+ * @param {Object} pattern - {strings, rows}
+ * @param {number} stringCount
+ * @param {number} rowCount
+ * @returns {Object} New pattern
+ */
+export function resizeNormalPattern(pattern, stringCount, rowCount) {
+    const count = clampInt(stringCount, MIN_STRINGS, MAX_STRINGS, pattern.strings.length);
+    const rowTotal = clampInt(rowCount, MIN_ROWS, MAX_ROWS, pattern.rows.length);
+    const evenRows = rowTotal % 2 === 0 ? rowTotal : rowTotal + 1;
+    const lastColor = pattern.strings[pattern.strings.length - 1] || FALLBACK_COLORS[0];
+
+    return {
+        strings: Array.from({ length: count }, (_, i) => pattern.strings[i] || lastColor),
+        rows: Array.from({ length: evenRows }, (_, r) => (
+            Array.from({ length: getKnotCount(count, r) }, (_, k) => pattern.rows[r]?.[k] || 'f')
+        )),
+    };
+}
+
+/**
+ * Validate a saved normal pattern
+ * @param {Object} saved - Pattern from storage (may be missing or malformed)
+ * @returns {Object} Usable pattern {strings, rows}
+ */
+export function normalizeNormalPattern(saved) {
+    if (!saved || !Array.isArray(saved.strings) || !Array.isArray(saved.rows) || saved.strings.length < MIN_STRINGS) {
+        return createDefaultNormalPattern(state.palette);
+    }
+    const pattern = {
+        strings: saved.strings.map((color) => (typeof color === 'string' ? color : FALLBACK_COLORS[0])),
+        rows: saved.rows.map((row) => (Array.isArray(row) ? row.map((type) => (KNOT_TYPES.includes(type) ? type : 'f')) : [])),
+    };
+    return resizeNormalPattern(pattern, pattern.strings.length, pattern.rows.length);
+}
+
+/**
+ * Start a fresh knot chart from the current palette
+ */
+export function initNormalPattern() {
+    state.normal = createDefaultNormalPattern(state.palette);
+}
+
+/**
+ * Switch between alpha and normal pattern editing
+ * View setting only, so it is not recorded in history.
+ * @param {string} mode - 'alpha' or 'normal'
+ */
+export function setPatternMode(mode) {
+    state.patternMode = mode === 'normal' ? 'normal' : 'alpha';
+}
+
+/**
+ * Set one knot as an undoable step
+ * @param {number} row - 0-based row index
+ * @param {number} index - Knot index within the row
+ * @param {string} type - One of KNOT_TYPES
+ */
+export function setNormalKnot(row, index, type) {
+    if (!KNOT_TYPES.includes(type) || state.normal.rows[row]?.[index] === undefined) return;
+    recordChange(`${KNOT_NAMES[type]} knot`, () => {
+        state.normal.rows[row][index] = type;
+    });
+}
+
+/**
+ * Recolor one string at the top of the chart as an undoable step
+ * @param {number} index - String index, left to right
+ * @param {string} hex - New color
+ */
+export function setNormalStringColor(index, hex) {
+    if (index < 0 || index >= state.normal.strings.length) return;
+    recordChange('Recolor string', () => {
+        state.normal.strings[index] = hex;
+    });
+}
+
+/**
+ * Resize the knot chart as an undoable step
+ * @param {number} stringCount
+ * @param {number} rowCount
+ */
+export function resizeNormal(stringCount, rowCount) {
+    recordChange('Resize knot chart', () => {
+        state.normal = resizeNormalPattern(state.normal, stringCount, rowCount);
+    });
+}
+
+function clampInt(value, min, max, fallback) {
+    const n = parseInt(value, 10);
+    return isNaN(n) ? fallback : Math.max(min, Math.min(max, n));
+}
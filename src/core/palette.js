@@ -4,6 +4,7 @@
  */
 
 import { state } from './state.js';
+import { recordChange } from './history.js';
 
 /**
  * Initialize palette with default soft pastel colors
@@ -33,7 +34,7 @@ export function renderPalette() {
         return;
     }
 
-    state.palette.forEach((color) => {
+    state.palette.forEach((color, index) => {
         const swatch = document.createElement('div');
         swatch.className = 'palette-swatch';
         if (state.selectedColor === color) {
@@ -45,6 +46,12 @@ export function renderPalette() {
             <div class="palette-info">
                 <div class="palette-label">${color.label || 'Unnamed'}</div>
                 <div class="palette-hex">${color.hex}</div>
+                ${color.floss ? `
+                    <div class="palette-floss">
+                        ${color.floss.brand} ${color.floss.code}
+                        <button class="palette-floss-edit" data-floss-index="${index}" title="Use a different thread" aria-label="Change ${color.floss.brand} thread for ${color.label}">✎</button>
+                    </div>
+                ` : ''}
             </div>
             <button class="palette-remove" aria-label="Remove color" ${state.palette.length === 1 ? 'disabled' : ''}>×</button>
         `;
@@ -80,8 +87,10 @@ export function addColor() {
     const hex = colorInput.value || '#a8d8ea';
     const label = labelInput.value || `Color ${state.palette.length + 1}`;
 
-    state.palette.push({ hex, label });
-    state.selectedColor = state.palette[state.palette.length - 1];
+    recordChange('Add color', () => {
+        state.palette.push({ hex, label });
+        state.selectedColor = state.palette[state.palette.length - 1];
+    });
 
     // Reset inputs
     colorInput.value = '#a8d8ea';
@@ -95,15 +104,17 @@ export function addColor() {
  * @param {Object} color - Color object to remove
  */
 export function removeColor(color) {
-    const index = state.palette.indexOf(color);
-    if (index > -1) {
-        state.palette.splice(index, 1);
-    }
+    recordChange('Remove color', () => {
+        const index = state.palette.indexOf(color);
+        if (index > -1) {
+            state.palette.splice(index, 1);
+        }
 
-    // If removed color was selected, select another
-    if (state.selectedColor === color) {
-        state.selectedColor = state.palette.length > 0 ? state.palette[0] : null;
-    }
+        // If removed color was selected, select another
+        if (state.selectedColor === color) {
+            state.selectedColor = state.palette.length > 0 ? state.palette[0] : null;
+        }
+    });
 
     renderPalette();
 }
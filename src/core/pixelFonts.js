@@ -0,0 +1,287 @@
+/**
+ * @file pixelFonts.js
+ * @description Bitmap fonts for the text tool
+ * Glyphs are rows of '#' (filled) and '.' (empty). Letters are capitals only;
+ * lowercase input is drawn with the capital glyphs. Bold and Script are built
+ * from the 5×7 glyphs so every font covers the same characters.
+ */
+
+const FONT_3X5 = {
+    A: ['.#.', '#.#', '###', '#.#', '#.#'],
+    B: ['##.', '#.#', '##.', '#.#', '##.'],
+    C: ['.##', '#..', '#..', '#..', '.##'],
+    D: ['##.', '#.#', '#.#', '#.#', '##.'],
+    E: ['###', '#..', '##.', '#..', '###'],
+    F: ['###', '#..', '##.', '#..', '#..'],
+    G: ['.##', '#..', '#.#', '#.#', '.##'],
+    H: ['#.#', '#.#', '###', '#.#', '#.#'],
+    I: ['###', '.#.', '.#.', '.#.', '###'],
+    J: ['..#', '..#', '..#', '#.#', '.#.'],
+    K: ['#.#', '#.#', '##.', '#.#', '#.#'],
+    L: ['#..', '#..', '#..', '#..', '###'],
+    M: ['#.#', '###', '###', '#.#', '#.#'],
+    N: ['###', '#.#', '#.#', '#.#', '#.#'],
+    O: ['###', '#.#', '#.#', '#.#', '###'],
+    P: ['##.', '#.#', '##.', '#..', '#..'],
+    Q: ['.#.', '#.#', '#.#', '##.', '.##'],
+    R: ['##.', '#.#', '##.', '#.#', '#.#'],
+    S: ['.##', '#..', '.#.', '..#', '##.'],
+    T: ['###', '.#.', '.#.', '.#.', '.#.'],
+    U: ['#.#', '#.#', '#.#', '#.#', '###'],
+    V: ['#.#', '#.#', '#.#', '#.#', '.#.'],
+    W: ['#.#', '#.#', '###', '###', '#.#'],
+    X: ['#.#', '#.#', '.#.', '#.#', '#.#'],
+    Y: ['#.#', '#.#', '.#.', '.#.', '.#.'],
+    Z: ['###', '..#', '.#.', '#..', '###'],
+    0: ['.#.', '#.#', '#.#', '#.#', '.#.'],
+    1: ['.#.', '##.', '.#.', '.#.', '###'],
+    2: ['##.', '..#', '.#.', '#..', '###'],
+    3: ['##.', '..#', '.#.', '..#', '##.'],
+    4: ['#.#', '#.#', '###', '..#', '..#'],
+    5: ['###', '#..', '##.', '..#', '##.'],
+    6: ['.##', '#..', '###', '#.#', '###'],
+    7: ['###', '..#', '.#.', '.#.', '.#.'],
+    8: ['###', '#.#', '###', '#.#', '###'],
+    9: ['###', '#.#', '###', '..#', '##.'],
+    ' ': ['..', '..', '..', '..', '..'],
+    '.': ['.', '.', '.', '.', '#'],
+    ',': ['.', '.', '.', '#', '#'],
+    '!': ['#', '#', '#', '.', '#'],
+    '?': ['##.', '..#', '.#.', '...', '.#.'],
+    '-': ['...', '...', '###', '...', '...'],
+    '\'': ['#', '#', '.', '.', '.'],
+    '+': ['...', '.#.', '###', '.#.', '...'],
+    ':': ['.', '#', '.', '#', '.'],
+    '&': ['.#.', '#.#', '.#.', '#.#', '.##'],
+    '♥': ['.#.#.', '#####', '#####', '.###.', '..#..'],
+};
+
+const FONT_5X7 = {
+    A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+    C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+    D: ['###..', '#..#.', '#...#', '#...#', '#...#', '#..#.', '###..'],
+    E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+    G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+    H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    I: ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    J: ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+    K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+    L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+    M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    N: ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+    O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+    Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+    R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+    W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+    X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+    Y: ['#...#', '#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..'],
+    Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+    0: ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    1: ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    2: ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    3: ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+    4: ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    5: ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    6: ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+    7: ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    8: ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    9: ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+    ' ': ['...', '...', '...', '...', '...', '...', '...'],
+    '.': ['.', '.', '.', '.', '.', '.', '#'],
+    ',': ['.', '.', '.', '.', '.', '#', '#'],
+    '!': ['#', '#', '#', '#', '#', '.', '#'],
+    '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+    '-': ['....', '....', '....', '####', '....', '....', '....'],
+    '\'': ['#', '#', '.', '.', '.', '.', '.'],
+    '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+    ':': ['.', '.', '#', '.', '.', '#', '.'],
+    '&': ['.##..', '#..#.', '#.#..', '.#...', '#.#.#', '#..#.', '.##.#'],
+    '♥': ['.....', '.#.#.', '#####', '#####', '.###.', '..#..', '.....'],
+};
+
+const FONT_7X9 = {
+    A: ['..###..', '.#...#.', '#.....#', '#.....#', '#######', '#.....#', '#.....#', '#.....#', '#.....#'],
+    B: ['######.', '#.....#', '#.....#', '#.....#', '######.', '#.....#', '#.....#', '#.....#', '######.'],
+    C: ['.#####.', '#.....#', '#......', '#......', '#......', '#......', '#......', '#.....#', '.#####.'],
+    D: ['#####..', '#....#.', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '#....#.', '#####..'],
+    E: ['#######', '#......', '#......', '#......', '######.', '#......', '#......', '#......', '#######'],
+    F: ['#######', '#......', '#......', '#......', '######.', '#......', '#......', '#......', '#......'],
+    G: ['.#####.', '#.....#', '#......', '#......', '#..####', '#.....#', '#.....#', '#.....#', '.#####.'],
+    H: ['#.....#', '#.....#', '#.....#', '#.....#', '#######', '#.....#', '#.....#', '#.....#', '#.....#'],
+    I: ['.#####.', '...#...', '...#...', '...#...', '...#...', '...#...', '...#...', '...#...', '.#####.'],
+    J: ['...####', '.....#.', '.....#.', '.....#.', '.....#.', '.....#.', '#....#.', '#....#.', '.####..'],
+    K: ['#.....#', '#....#.', '#...#..', '#..#...', '###....', '#..#...', '#...#..', '#....#.', '#.....#'],
+    L: ['#......', '#......', '#......', '#......', '#......', '#......', '#......', '#......', '#######'],
+    M: ['#.....#', '##...##', '#.#.#.#', '#..#..#', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#'],
+    N: ['#.....#', '#.....#', '##....#', '#.#...#', '#..#..#', '#...#.#', '#....##', '#.....#', '#.....#'],
+    O: ['.#####.', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '.#####.'],
+    P: ['######.', '#.....#', '#.....#', '#.....#', '######.', '#......', '#......', '#......', '#......'],
+    Q: ['.#####.', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '#...#.#', '#....#.', '.####.#'],
+    R: ['######.', '#.....#', '#.....#', '#.....#', '######.', '#..#...', '#...#..', '#....#.', '#.....#'],
+    S: ['.#####.', '#.....#', '#......', '#......', '.#####.', '......#', '......#', '#.....#', '.#####.'],
+    T: ['#######', '...#...', '...#...', '...#...', '...#...', '...#...', '...#...', '...#...', '...#...'],
+    U: ['#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '.#####.'],
+    V: ['#.....#', '#.....#', '#.....#', '#.....#', '#.....#', '.#...#.', '.#...#.', '..#.#..', '...#...'],
+    W: ['#.....#', '#.....#', '#.....#', '#.....#', '#..#..#', '#..#..#', '#.#.#.#', '##...##', '#.....#'],
+    X: ['#.....#', '#.....#', '.#...#.', '..#.#..', '...#...', '..#.#..', '.#...#.', '#.....#', '#.....#'],
+    Y: ['#.....#', '#.....#', '.#...#.', '..#.#..', '...#...', '...#...', '...#...', '...#...', '...#...'],
+    Z: ['#######', '......#', '.....#.', '....#..', '...#...', '..#....', '.#.....', '#......', '#######'],
+    0: ['.#####.', '#.....#', '#....##', '#...#.#', '#..#..#', '#.#...#', '##....#', '#.....#', '.#####.'],
+    1: ['...#...', '..##...', '.#.#...', '...#...', '...#...', '...#...', '...#...', '...#...', '.#####.'],
+    2: ['.#####.', '#.....#', '......#', '.....#.', '....#..', '...#...', '..#....', '.#.....', '#######'],
+    3: ['.#####.', '#.....#', '......#', '......#', '..####.', '......#', '......#', '#.....#', '.#####.'],
+    4: ['....##.', '...#.#.', '..#..#.', '.#...#.', '#....#.', '#######', '.....#.', '.....#.', '.....#.'],
+    5: ['#######', '#......', '#......', '######.', '......#', '......#', '......#', '#.....#', '.#####.'],
+    6: ['..####.', '.#.....', '#......', '#......', '######.', '#.....#', '#.....#', '#.....#', '.#####.'],
+    7: ['#######', '......#', '.....#.', '....#..', '...#...', '...#...', '...#...', '...#...', '...#...'],
+    8: ['.#####.', '#.....#', '#.....#', '#.....#', '.#####.', '#.....#', '#.....#', '#.....#', '.#####.'],
+    9: ['.#####.', '#.....#', '#.....#', '#.....#', '.######', '......#', '......#', '.....#.', '.####..'],
+    ' ': ['....', '....', '....', '....', '....', '....', '....', '....', '....'],
+    '.': ['..', '..', '..', '..', '..', '..', '..', '##', '##'],
+    ',': ['..', '..', '..', '..', '..', '..', '##', '##', '.#'],
+    '!': ['##', '##', '##', '##', '##', '##', '..', '##', '##'],
+    '?': ['.#####.', '#.....#', '......#', '.....#.', '....#..', '...#...', '.......', '...#...', '...#...'],
+    '-': ['.....', '.....', '.....', '.....', '#####', '.....', '.....', '.....', '.....'],
+    '\'': ['#', '#', '#', '.', '.', '.', '.', '.', '.'],
+    '+': ['.....', '.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....', '.....'],
+    ':': ['..', '..', '##', '##', '..', '..', '##', '##', '..'],
+    '&': ['.##....', '#..#...', '#..#...', '.##....', '.#.#..#', '#...#.#', '#....#.', '#...#.#', '.###..#'],
+    '♥': ['.......', '.##.##.', '#######', '#######', '#######', '.#####.', '..###..', '...#...', '.......'],
+};
+
+/**
+ * Thicken every vertical stroke by one cell to the right
+ * @param {string[]} glyph
+ * @returns {string[]} Glyph one column wider
+ */
+function emboldenGlyph(glyph) {
+    return glyph.map((row) => {
+        let out = '';
+        for (let x = 0; x <= row.length; x++) {
+            out += row[x] === '#' || row[x - 1] === '#' ? '#' : '.';
+        }
+        return out;
+    });
+}
+
+/**
+ * Lean a glyph to the right, one column every two rows
+ * @param {string[]} glyph
+ * @returns {string[]} Slanted glyph
+ */
+function slantGlyph(glyph) {
+    const maxShift = Math.floor((glyph.length - 1) / 2);
+    return glyph.map((row, r) => {
+        const shift = Math.floor((glyph.length - 1 - r) / 2);
+        return '.'.repeat(shift) + row + '.'.repeat(maxShift - shift);
+    });
+}
+
+function deriveGlyphs(glyphs, transform) {
+    return Object.fromEntries(Object.entries(glyphs).map(([char, glyph]) => [char, transform(glyph)]));
+}
+
+/**
+ * Bundled fonts. `kerning` is added to the letter spacing: slanted glyphs
+ * carry empty corners, so Script overlaps its boxes to keep letters close.
+ * Its slant steps one column every two rows, so -2 still leaves a one-column
+ * gap at zero spacing; -3 would let neighbouring letters touch.
+ */
+export const PIXEL_FONTS = {
+    '3x5': { name: 'Tiny 3×5', height: 5, kerning: 0, glyphs: FONT_3X5 },
+    '5x7': { name: 'Classic 5×7', height: 7, kerning: 0, glyphs: FONT_5X7 },
+    '7x9': { name: 'Large 7×9', height: 9, kerning: 0, glyphs: FONT_7X9 },
+    bold: { name: 'Bold 6×7', height: 7, kerning: 0, glyphs: deriveGlyphs(FONT_5X7, emboldenGlyph) },
+    script: { name: 'Script 8×7', height: 7, kerning: -2, glyphs: deriveGlyphs(FONT_5X7, slantGlyph) },
+};
+
+export const DEFAULT_FONT = '5x7';
+
+export const TEXT_ORIENTATIONS = ['horizontal', 'vertical', 'stacked'];
+
+/**
+ * Render a string into a bitmap
+ * - horizontal: reads left to right
+ * - vertical: the horizontal text turned 90° clockwise, reading top to bottom
+ *   (the usual layout for names along an alpha bracelet)
+ * - stacked: upright letters placed one below another
+ * @param {string} text
+ * @param {string} fontId - Key of PIXEL_FONTS
+ * @param {Object} options - {spacing, orientation}
+ * @returns {Object} {width, height, pixels: boolean[][], missing: string[]}
+ */
+export function renderText(text, fontId = DEFAULT_FONT, { spacing = 1, orientation = 'horizontal' } = {}) {
+    const font = PIXEL_FONTS[fontId] || PIXEL_FONTS[DEFAULT_FONT];
+    const glyphs = [];
+    const missing = [];
+
+    Array.from(text.toUpperCase()).forEach((char) => {
+        const glyph = font.glyphs[char];
+        if (glyph) {
+            glyphs.push(glyph);
+        } else if (!missing.includes(char)) {
+            missing.push(char);
+        }
+    });
+
+    if (glyphs.length === 0) return { width: 0, height: 0, pixels: [], missing };
+
+    const pixels = orientation === 'stacked'
+        ? layoutStacked(glyphs, spacing)
+        : layoutRow(glyphs, font, spacing);
+    const result = orientation === 'vertical' ? rotateClockwise(pixels) : pixels;
+
+    return { width: result[0]?.length || 0, height: result.length, pixels: result, missing };
+}
+
+function layoutRow(glyphs, font, spacing) {
+    const positions = [];
+    let x = 0;
+    glyphs.forEach((glyph) => {
+        positions.push(x);
+        x += Math.max(1, glyph[0].length + spacing + font.kerning);
+    });
+
+    const width = Math.max(...glyphs.map((glyph, i) => positions[i] + glyph[0].length));
+    const pixels = Array.from({ length: font.height }, () => Array(width).fill(false));
+    glyphs.forEach((glyph, i) => drawGlyph(pixels, glyph, 0, positions[i]));
+    return pixels;
+}
+
+function layoutStacked(glyphs, spacing) {
+    const width = Math.max(...glyphs.map((glyph) => glyph[0].length));
+    const height = glyphs.reduce((sum, glyph) => sum + glyph.length, 0) + spacing * (glyphs.length - 1);
+    const pixels = Array.from({ length: height }, () => Array(width).fill(false));
+
+    let y = 0;
+    glyphs.forEach((glyph) => {
+        // Center narrow glyphs (I, 1, punctuation) in the column
+        drawGlyph(pixels, glyph, y, Math.floor((width - glyph[0].length) / 2));
+        y += glyph.length + spacing;
+    });
+    return pixels;
+}
+
+function drawGlyph(pixels, glyph, top, left) {
+    glyph.forEach((row, r) => {
+        for (let c = 0; c < row.length; c++) {
+            // Overlapping boxes (negative kerning) must not erase earlier pixels
+            if (row[c] === '#') pixels[top + r][left + c] = true;
+        }
+    });
+}
+
+function rotateClockwise(pixels) {
+    const height = pixels.length;
+    const width = pixels[0].length;
+    return Array.from({ length: width }, (_, r) => (
+        Array.from({ length: height }, (_, c) => pixels[height - 1 - c][r])
+    ));
+}
@@ -3,7 +3,9 @@
  * @description Pattern printing functionality
  */
 
-import { generatePatternText, generateLegendText, generateColorMapping } from './export.js';
+import { generatePatternText, generateLegendText, generateColorMapping, generateKnotInstructions, describeKnotRow, getFlossLabel } from './export.js';
+import { calculateThreads, formatLength } from './threadCalculator.js';
+import { showCrossStitchChart } from './crossStitch.js';
 
 /**
  * Initialize print sheet UI
@@ -11,7 +13,13 @@ import { generatePatternText, generateLegendText, generateColorMapping } from '.
 export function initPrintSheet() {
     const btn = document.getElementById('generatePrintBtn');
     if (btn) {
-        btn.addEventListener('click', generatePrintPreview);
+        btn.addEventListener('click', () => {
+            if (document.getElementById('printModeSelect')?.value === 'cross-stitch') {
+                showCrossStitchChart();
+            } else {
+                generatePrintPreview();
+            }
+        });
     }
 }
 
@@ -34,17 +42,22 @@ export function generatePrintPreview() {
     const { colorMap, usedColors } = generateColorMapping();
     usedColors.forEach(color => {
         const letter = colorMap[color];
+        const floss = getFlossLabel(color);
         printHtml += `
             <div class="print-sheet-legend-item">
                 <span class="print-sheet-legend-color" style="background-color: ${color};"></span>
-                ${letter} = ${color}
+                ${letter} = ${color}${floss ? ` – ${floss}` : ''}
             </div>
         `;
     });
 
     printHtml += `
             </div>
-            
+    `;
+
+    printHtml += generateThreadsHtml();
+
+    printHtml += `
             <div class="print-sheet-pattern">
     `;
 
@@ -54,6 +67,11 @@ export function generatePrintPreview() {
 
     printHtml += `
             </div>
+    `;
+
+    printHtml += generateInstructionsHtml();
+
+    printHtml += `
         </div>
     `;
 
@@ -73,3 +91,68 @@ export function generatePrintPreview() {
         modal.classList.add('active');
     }
 }
+
+/**
+ * Build the thread setup section of the print sheet
+ * @returns {string} HTML, empty when nothing is painted
+ */
+function generateThreadsHtml() {
+    const threads = calculateThreads();
+    if (!threads) return '';
+
+    const { braceletCm, baseStrings, colors, totalSkeins } = threads;
+    let html = `
+            <div class="print-sheet-threads">
+                <div class="print-sheet-legend-title">Thread Setup (${braceletCm} cm bracelet)</div>
+                <div>${baseStrings.count} base strings of ${baseStrings.letter}, ${baseStrings.lengthCm} cm each</div>
+    `;
+
+    colors.forEach((c) => {
+        html += `<div>${c.letter}: ${c.workingStrings} working string${c.workingStrings === 1 ? '' : 's'}, ${formatLength(c.lengthCm)} in total, ${c.skeins} skein${c.skeins === 1 ? '' : 's'}</div>`;
+    });
+
+    html += `
+                <div>Total: ${totalSkeins} skein${totalSkeins === 1 ? '' : 's'}</div>
+            </div>
+    `;
+    return html;
+}
+
+/**
+ * Build the knotting instructions section of the print sheet
+ * @returns {string} HTML, empty when nothing is painted
+ */
+function generateInstructionsHtml() {
+    const { width, strings, background, otherColors, hasEmptyCells, rows } = generateKnotInstructions();
+    if (!background) return '';
+
+    let html = `
+            <div class="print-sheet-instructions">
+                <div class="print-sheet-legend-title">Knotting Instructions</div>
+                <div class="print-sheet-instructions-setup">
+                    <div>Strings: ${strings} (${width} base + 1 working), all in ${background.letter} (background)</div>
+    `;
+
+    otherColors.forEach(({ letter, firstRow }) => {
+        html += `<div>Add one ${letter} string at row ${firstRow}</div>`;
+    });
+    html += '<div>Odd rows → forward knots, left to right. Even rows ← backward knots, right to left.</div>';
+    if (hasEmptyCells) {
+        html += `<div>Empty cells are tied with the background string (${background.letter}).</div>`;
+    }
+    html += '</div>';
+
+    rows.forEach((row) => {
+        html += `
+            <div class="print-sheet-instruction-row">
+                <span class="print-sheet-instruction-label">Row ${row.number} ${row.direction === 'right' ? '→' : '←'}</span>
+                ${describeKnotRow(row, background)}
+            </div>
+        `;
+    });
+
+    html += `
+            </div>
+    `;
+    return html;
+}
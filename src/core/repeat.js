@@ -0,0 +1,292 @@
+/**
+ * @file repeat.js
+ * @description Repeat planner: preview the grid tiled along the bracelet,
+ * work out how many repeats cover a wrist, and bake the repeats into the grid
+ * The grid is treated as one tile; repeats run downward (the knotting
+ * direction). Spacer rows go between tiles, never after the last one, so the
+ * seam where the ends are tied joins the last tile straight to the first.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { recordChange, onHistoryChange } from './history.js';
+import { dropFloatingSelection } from './selection.js';
+import { MAX_GRID_SIZE } from './resize.js';
+import { mapLayers } from './layers.js';
+import { flipHorizontal, flipVertical } from './transform.js';
+import { renderGrid, syncGridBounds } from './grid.js';
+import { onGridDraw } from './gridRenderer.js';
+import { updateExport } from './export.js';
+import { onNextFrame } from '../utils/canvas.js';
+
+export const REPEAT_MIRRORS = ['none', 'vertical', 'horizontal'];
+
+const MAX_REPEATS = 40;
+const MAX_SPACER_ROWS = 10;
+const SPACER_LAYER = 'background';
+const PREVIEW_WIDTH = 240;
+const PREVIEW_MAX_CELL = 10;
+const PREVIEW_MIN_CELL = 2;
+
+const changeListeners = [];
+const schedulePreview = onNextFrame(renderRepeatPreview);
+
+/**
+ * Wire the repeat planner panel
+ */
+export function initRepeatPlanner() {
+    const bind = (id, key, parse) => {
+        document.getElementById(id)?.addEventListener('change', (e) => {
+            setRepeatOption(key, parse(e.target.value));
+            syncRepeatInputs();
+            renderRepeatPreview();
+        });
+    };
+    bind('repeatCountInput', 'count', (v) => parseInt(v, 10));
+    bind('repeatSpacerInput', 'spacerRows', (v) => parseInt(v, 10));
+    bind('repeatSpacerColorSelect', 'spacerColor', (v) => v || null);
+    bind('repeatMirrorSelect', 'mirror', (v) => v);
+    bind('repeatLengthInput', 'lengthCm', parseFloat);
+    bind('repeatKnotInput', 'knotMm', parseFloat);
+
+    document.getElementById('repeatFitBtn')?.addEventListener('click', () => {
+        setRepeatOption('count', getRepeatPlan().repeats);
+        syncRepeatInputs();
+        renderRepeatPreview();
+    });
+    document.getElementById('repeatBakeBtn')?.addEventListener('click', bakeRepeats);
+
+    // Palette edits, undo and loads can change the tile or the spacer colors
+    onHistoryChange(() => {
+        renderSpacerColorOptions();
+        schedulePreview();
+    });
+    onGridDraw(schedulePreview);
+
+    renderSpacerColorOptions();
+    syncRepeatInputs();
+    renderRepeatPreview();
+}
+
+/**
+ * Change one repeat option, clamping it to a usable value
+ * @param {string} key - Key of state.repeat
+ * @param {*} value
+ */
+export function setRepeatOption(key, value) {
+    const clamp = (v, min, max, fallback) => (isNaN(v) ? fallback : Math.max(min, Math.min(max, v)));
+    if (key === 'count') value = clamp(value, 1, MAX_REPEATS, 1);
+    if (key === 'spacerRows') value = clamp(value, 0, MAX_SPACER_ROWS, 0);
+    if (key === 'mirror' && !REPEAT_MIRRORS.includes(value)) value = 'none';
+    if (key === 'lengthCm') value = clamp(value, 5, 40, 16);
+    if (key === 'knotMm') value = clamp(value, 1, 10, 3);
+    state.repeat[key] = value;
+    changeListeners.forEach((listener) => listener(key, value));
+}
+
+/**
+ * Subscribe to repeat option changes
+ * @param {Function} listener - Called with (key, value)
+ */
+export function onRepeatChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Tile a grid downward
+ * With mirroring, every second tile is flipped so neighbouring tiles meet as
+ * mirror images.
+ * @param {Array<Array<string|null>>} cells - 2D color array (one tile)
+ * @param {Object} options
+ * @param {number} options.count - Number of tiles
+ * @param {number} [options.spacerRows=0] - Rows between tiles
+ * @param {string|null} [options.spacerColor=null] - Color of the spacer rows
+ * @param {string} [options.mirror='none'] - 'none', 'vertical' or 'horizontal'
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function tileRows(cells, { count, spacerRows = 0, spacerColor = null, mirror = 'none' }) {
+    const width = cells.length > 0 ? cells[0].length : 0;
+    const flipped = mirror === 'vertical' ? flipVertical(cells)
+        : mirror === 'horizontal' ? flipHorizontal(cells)
+            : cells;
+    const result = [];
+
+    for (let i = 0; i < count; i++) {
+        if (i > 0) {
+            for (let s = 0; s < spacerRows; s++) result.push(new Array(width).fill(spacerColor));
+        }
+        const tile = i % 2 === 1 ? flipped : cells;
+        tile.forEach((row) => result.push(row.slice()));
+    }
+    return result;
+}
+
+/**
+ * Rows taken up by a number of tiles and the spacers between them
+ * @param {number} count - Number of tiles
+ * @param {number} tileHeight - Rows per tile
+ * @param {number} spacerRows - Rows between tiles
+ * @returns {number}
+ */
+export function getRepeatedHeight(count, tileHeight, spacerRows) {
+    return count * tileHeight + Math.max(0, count - 1) * spacerRows;
+}
+
+/**
+ * Work out how many repeats cover the planned length with the current grid
+ * Mirrored repeats are rounded up to an even count so the tiles on either
+ * side of the tie-off seam still mirror each other.
+ * @returns {Object} {rowsNeeded, repeats, totalRows, lengthCm}
+ *   rowsNeeded - Rows that make up the planned length at this knot size
+ *   repeats - Repeats needed to reach it
+ *   totalRows / lengthCm - Size of the current repeat count
+ */
+export function getRepeatPlan() {
+    const { count, spacerRows, mirror, lengthCm, knotMm } = state.repeat;
+    const tileHeight = state.gridHeight;
+    const rowsNeeded = Math.ceil((lengthCm * 10) / knotMm);
+
+    let repeats = Math.max(1, Math.ceil((rowsNeeded + spacerRows) / (tileHeight + spacerRows)));
+    if (mirror !== 'none' && repeats % 2 === 1) repeats++;
+
+    const totalRows = getRepeatedHeight(count, tileHeight, spacerRows);
+    return { rowsNeeded, repeats, totalRows, lengthCm: (totalRows * knotMm) / 10 };
+}
+
+/**
+ * Replace the grid with the repeated design on every layer as one undoable step
+ * Spacer rows are filled on the Background layer only.
+ * @returns {boolean} True if the grid was changed
+ */
+export function bakeRepeats() {
+    const { count, spacerRows, spacerColor, mirror } = state.repeat;
+    const height = getRepeatedHeight(count, state.gridHeight, spacerRows);
+
+    if (count < 2) {
+        showNotification('Set more than one repeat to bake.', 'info');
+        return false;
+    }
+    if (height > MAX_GRID_SIZE) {
+        showNotification(`${count} repeats need ${height} rows, more than the ${MAX_GRID_SIZE}-row limit. Use fewer repeats or spacer rows.`, 'error');
+        return false;
+    }
+
+    dropFloatingSelection();
+    recordChange(`Bake ${count} repeats`, () => {
+        mapLayers((cells, layer) => tileRows(cells, {
+            count,
+            spacerRows,
+            spacerColor: layer.id === SPACER_LAYER ? spacerColor : null,
+            mirror,
+        }));
+    });
+
+    // The grid is now the full length; previewing it again would repeat the repeats
+    setRepeatOption('count', 1);
+    syncRepeatInputs();
+    syncGridBounds();
+    renderGrid();
+    updateExport();
+    showNotification(`Baked ${count} repeats into a ${state.gridWidth}×${state.gridHeight} grid.`, 'success');
+    return true;
+}
+
+/**
+ * Draw the tiled preview, with dashed lines at tile seams and a red line
+ * where the planned length ends
+ */
+export function renderRepeatPreview() {
+    const canvas = document.getElementById('repeatPreviewCanvas');
+    updateRepeatSummary();
+    if (!canvas || state.gridWidth === 0 || state.gridHeight === 0) return;
+
+    const { count, spacerRows, spacerColor, mirror } = state.repeat;
+    const cells = tileRows(state.gridData, { count, spacerRows, spacerColor, mirror });
+    const rows = cells.length;
+    const cols = state.gridWidth;
+    const size = Math.max(PREVIEW_MIN_CELL, Math.min(PREVIEW_MAX_CELL, Math.floor(PREVIEW_WIDTH / cols)));
+    const width = cols * size;
+    const height = rows * size;
+    const ratio = window.devicePixelRatio || 1;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    cells.forEach((line, r) => {
+        line.forEach((color, c) => {
+            if (!color) return;
+            ctx.fillStyle = color;
+            ctx.fillRect(c * size, r * size, size, size);
+        });
+    });
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.setLineDash([4, 3]);
+    for (let i = 1; i < count; i++) {
+        const y = (i * (state.gridHeight + spacerRows) - spacerRows) * size + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    const { rowsNeeded } = getRepeatPlan();
+    if (rowsNeeded < rows) {
+        const y = rowsNeeded * size + 0.5;
+        ctx.strokeStyle = '#e53935';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    }
+}
+
+function updateRepeatSummary() {
+    const summary = document.getElementById('repeatSummary');
+    if (!summary) return;
+
+    const { count, knotMm } = state.repeat;
+    const plan = getRepeatPlan();
+    const planned = `${state.repeat.lengthCm} cm needs ${plan.rowsNeeded} rows at ${knotMm} mm per knot row: ${plan.repeats} repeat${plan.repeats === 1 ? '' : 's'}.`;
+    const current = `${count} repeat${count === 1 ? '' : 's'} = ${plan.totalRows} rows ≈ ${plan.lengthCm.toFixed(1)} cm.`;
+    summary.textContent = `${current} ${planned}`;
+    summary.classList.toggle('repeat-short', plan.totalRows < plan.rowsNeeded);
+}
+
+function syncRepeatInputs() {
+    const values = {
+        repeatCountInput: state.repeat.count,
+        repeatSpacerInput: state.repeat.spacerRows,
+        repeatSpacerColorSelect: state.repeat.spacerColor || '',
+        repeatMirrorSelect: state.repeat.mirror,
+        repeatLengthInput: state.repeat.lengthCm,
+        repeatKnotInput: state.repeat.knotMm,
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+}
+
+function renderSpacerColorOptions() {
+    const select = document.getElementById('repeatSpacerColorSelect');
+    if (!select) return;
+
+    if (state.repeat.spacerColor && !state.palette.some((color) => color.hex === state.repeat.spacerColor)) {
+        state.repeat.spacerColor = null;
+    }
+    select.innerHTML = '<option value="">Empty</option>' + state.palette
+        .map((color) => `<option value="${color.hex}">${color.label} (${color.hex})</option>`)
+        .join('');
+    select.value = state.repeat.spacerColor || '';
+}
@@ -0,0 +1,157 @@
+/**
+ * @file resize.js
+ * @description Non-destructive grid resizing
+ * Pure functions on 2D color arrays: resize around an anchor (like an image
+ * editor's canvas size dialog) and insert/remove rows and columns.
+ */
+
+export const MIN_GRID_SIZE = 4;
+export const MAX_GRID_SIZE = 80;
+
+export const RESIZE_ANCHORS = [
+    'top-left', 'top', 'top-right',
+    'left', 'center', 'right',
+    'bottom-left', 'bottom', 'bottom-right',
+];
+
+/**
+ * Get where the old content starts inside the resized grid
+ * Negative offsets mean content is cut off on the top/left side.
+ * @param {string} anchor - One of RESIZE_ANCHORS
+ * @param {number} oldWidth
+ * @param {number} oldHeight
+ * @param {number} newWidth
+ * @param {number} newHeight
+ * @returns {Object} {rowOffset, colOffset}
+ */
+export function getAnchorOffset(anchor, oldWidth, oldHeight, newWidth, newHeight) {
+    const [vertical, horizontal] = splitAnchor(anchor);
+    const offset = (side, start, end, diff) => {
+        if (side === start) return 0;
+        if (side === end) return diff;
+        return Math.floor(diff / 2);
+    };
+
+    return {
+        rowOffset: offset(vertical, 'top', 'bottom', newHeight - oldHeight),
+        colOffset: offset(horizontal, 'left', 'right', newWidth - oldWidth),
+    };
+}
+
+/**
+ * Resize a 2D color array, keeping existing cells in place relative to the anchor
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {number} newWidth
+ * @param {number} newHeight
+ * @param {string} anchor - One of RESIZE_ANCHORS
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function resizeCells(cells, newWidth, newHeight, anchor = 'top-left') {
+    const oldHeight = cells.length;
+    const oldWidth = oldHeight > 0 ? cells[0].length : 0;
+    const { rowOffset, colOffset } = getAnchorOffset(anchor, oldWidth, oldHeight, newWidth, newHeight);
+
+    const result = [];
+    for (let r = 0; r < newHeight; r++) {
+        const source = cells[r - rowOffset];
+        const row = [];
+        for (let c = 0; c < newWidth; c++) {
+            const color = source ? source[c - colOffset] : undefined;
+            row.push(color === undefined ? null : color);
+        }
+        result.push(row);
+    }
+    return result;
+}
+
+/**
+ * Count painted cells that a resize would cut off
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {number} newWidth
+ * @param {number} newHeight
+ * @param {string} anchor - One of RESIZE_ANCHORS
+ * @returns {number} Number of non-empty cells lost
+ */
+export function countCroppedCells(cells, newWidth, newHeight, anchor = 'top-left') {
+    const oldHeight = cells.length;
+    const oldWidth = oldHeight > 0 ? cells[0].length : 0;
+    const { rowOffset, colOffset } = getAnchorOffset(anchor, oldWidth, oldHeight, newWidth, newHeight);
+
+    let lost = 0;
+    cells.forEach((row, r) => {
+        row.forEach((color, c) => {
+            const nr = r + rowOffset;
+            const nc = c + colOffset;
+            if (color && (nr < 0 || nc < 0 || nr >= newHeight || nc >= newWidth)) {
+                lost++;
+            }
+        });
+    });
+    return lost;
+}
+
+/**
+ * Insert empty rows before the given index
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {number} index - 0-based row index (cells.length appends)
+ * @param {number} count
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function insertRows(cells, index, count = 1) {
+    const width = cells.length > 0 ? cells[0].length : 0;
+    const result = cells.map((row) => row.slice());
+    const blank = Array.from({ length: count }, () => Array(width).fill(null));
+    result.splice(index, 0, ...blank);
+    return result;
+}
+
+/**
+ * Remove rows starting at the given index
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {number} index - 0-based row index
+ * @param {number} count
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function removeRows(cells, index, count = 1) {
+    const result = cells.map((row) => row.slice());
+    result.splice(index, count);
+    return result;
+}
+
+/**
+ * Insert empty columns before the given index
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {number} index - 0-based column index (width appends)
+ * @param {number} count
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function insertColumns(cells, index, count = 1) {
+    return cells.map((row) => {
+        const copy = row.slice();
+        copy.splice(index, 0, ...Array(count).fill(null));
+        return copy;
+    });
+}
+
+/**
+ * Remove columns starting at the given index
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {number} index - 0-based column index
+ * @param {number} count
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function removeColumns(cells, index, count = 1) {
+    return cells.map((row) => {
+        const copy = row.slice();
+        copy.splice(index, count);
+        return copy;
+    });
+}
+
+function splitAnchor(anchor) {
+    if (anchor === 'center') return ['middle', 'middle'];
+    if (anchor === 'left' || anchor === 'right') return ['middle', anchor];
+    if (anchor === 'top' || anchor === 'bottom') return [anchor, 'middle'];
+    const [vertical, horizontal] = String(anchor).split('-');
+    return [vertical || 'top', horizontal || 'left'];
+}
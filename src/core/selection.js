@@ -0,0 +1,383 @@
+/**
+ * @file selection.js
+ * @description Rectangular selection, clipboard and floating selection
+ * A selection is a rectangle {row, col, width, height}. Copied or lifted cells
+ * become a floating selection that can be moved and stamped repeatedly before
+ * it is dropped back onto the grid. Copying, lifting and stamping work on the
+ * active layer. Callers re-render after each operation.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { captureDesign, restoreDesign, commitChange } from './history.js';
+import { getEditableGrid, updateActiveLayer, canEditActiveLayer } from './layers.js';
+
+/**
+ * Build a normalized rectangle from two corner cells
+ * @param {Object} a - {row, col}
+ * @param {Object} b - {row, col}
+ * @returns {Object} {row, col, width, height}
+ */
+export function normalizeRect(a, b) {
+    const row = Math.min(a.row, b.row);
+    const col = Math.min(a.col, b.col);
+    return {
+        row,
+        col,
+        width: Math.abs(a.col - b.col) + 1,
+        height: Math.abs(a.row - b.row) + 1,
+    };
+}
+
+/**
+ * @param {Object|null} rect - {row, col, width, height}
+ * @param {number} row
+ * @param {number} col
+ * @returns {boolean} True if the cell lies inside the rectangle
+ */
+export function isInRect(rect, row, col) {
+    return Boolean(rect)
+        && row >= rect.row && row < rect.row + rect.height
+        && col >= rect.col && col < rect.col + rect.width;
+}
+
+/**
+ * Copy the cells of a rectangle out of a grid
+ * @param {Array<Array<string|null>>} gridData - 2D color array
+ * @param {Object} rect - {row, col, width, height}
+ * @returns {Array<Array<string|null>>} 2D color array of the region
+ */
+export function extractRegion(gridData, rect) {
+    const cells = [];
+    for (let r = 0; r < rect.height; r++) {
+        const row = [];
+        for (let c = 0; c < rect.width; c++) {
+            const source = gridData[rect.row + r];
+            row.push(source && source[rect.col + c] !== undefined ? source[rect.col + c] : null);
+        }
+        cells.push(row);
+    }
+    return cells;
+}
+
+/**
+ * Clip a rectangle to the grid bounds
+ * @param {Object} rect - {row, col, width, height}
+ * @returns {Object|null} Clipped rectangle or null if fully outside
+ */
+export function clipRectToGrid(rect) {
+    const top = Math.max(0, rect.row);
+    const left = Math.max(0, rect.col);
+    const bottom = Math.min(state.gridHeight, rect.row + rect.height);
+    const right = Math.min(state.gridWidth, rect.col + rect.width);
+    if (bottom <= top || right <= left) return null;
+    return { row: top, col: left, width: right - left, height: bottom - top };
+}
+
+/**
+ * Set the active selection rectangle (clipped to the grid)
+ * @param {Object|null} rect - {row, col, width, height}
+ */
+export function setSelection(rect) {
+    state.selection = rect ? clipRectToGrid(rect) : null;
+}
+
+/**
+ * Select the whole grid
+ */
+export function selectAll() {
+    dropFloatingSelection();
+    setSelection({ row: 0, col: 0, width: state.gridWidth, height: state.gridHeight });
+}
+
+/**
+ * Remove the selection, dropping any floating cells onto the grid first
+ * @returns {boolean} True if the grid changed
+ */
+export function clearSelection() {
+    const changed = dropFloatingSelection();
+    state.selection = null;
+    return changed;
+}
+
+/**
+ * Get the color a floating selection shows over a grid cell
+ * @param {number} row
+ * @param {number} col
+ * @returns {string|null} Hex color, or null if no floating cell covers it
+ */
+export function getFloatingColorAt(row, col) {
+    const floating = state.floatingSelection;
+    if (!isInRect(floating, row, col)) return null;
+    return floating.cells[row - floating.row][col - floating.col];
+}
+
+/**
+ * Copy the floating selection or the selected region to the clipboard
+ * Also writes the region to the system clipboard as pattern text.
+ * @returns {boolean} True if something was copied
+ */
+export function copySelection() {
+    const source = state.floatingSelection || state.selection;
+    if (!source) {
+        showNotification('Select part of the grid first.', 'info');
+        return false;
+    }
+
+    const cells = state.floatingSelection
+        ? state.floatingSelection.cells.map((row) => row.slice())
+        : extractRegion(getEditableGrid(), state.selection);
+
+    state.clipboard = { width: source.width, height: source.height, cells };
+    writeSystemClipboard(regionToPatternText(cells));
+    showNotification(`Copied ${source.width}×${source.height} cells.`, 'success', 1500);
+    return true;
+}
+
+/**
+ * Copy the selection and clear it from the grid
+ * @returns {boolean} True if the grid changed
+ */
+export function cutSelection() {
+    if (!copySelection()) return false;
+
+    if (state.floatingSelection) {
+        // Cutting a floating selection discards it; lifted cells stay removed
+        const { before } = state.floatingSelection;
+        state.floatingSelection = null;
+        return commitChange('Cut selection', before);
+    }
+    return deleteSelection('Cut selection');
+}
+
+/**
+ * Clear every cell inside the selection
+ * @param {string} label - History label
+ * @returns {boolean} True if the grid changed
+ */
+export function deleteSelection(label = 'Delete selection') {
+    const rect = state.selection;
+    if (!rect || !canEditActiveLayer()) return false;
+
+    const before = captureDesign();
+    updateActiveLayer((grid) => clearRegion(grid, rect));
+    return commitChange(label, before);
+}
+
+/**
+ * Paste as a floating selection, preferring pattern text on the system
+ * clipboard and falling back to the internal clipboard
+ * @returns {Promise<boolean>} True if a floating selection was created
+ */
+export async function pasteClipboard() {
+    let clip = null;
+    try {
+        const text = await navigator.clipboard.readText();
+        clip = parsePatternText(text);
+    } catch (e) {
+        // Clipboard read denied or unsupported; use the internal clipboard
+    }
+    clip = clip || state.clipboard;
+
+    if (!clip) {
+        showNotification('Nothing to paste yet. Copy a selection first.', 'info');
+        return false;
+    }
+
+    dropFloatingSelection();
+    const anchor = state.selection || { row: 0, col: 0 };
+    state.floatingSelection = {
+        row: anchor.row,
+        col: anchor.col,
+        width: clip.width,
+        height: clip.height,
+        cells: clip.cells.map((row) => row.slice()),
+        before: captureDesign(),
+        lifted: false,
+    };
+    state.selection = null;
+    return true;
+}
+
+/**
+ * Lift the selected cells off the grid into a floating selection
+ * @returns {boolean} True if a floating selection was created
+ */
+export function liftSelection() {
+    const rect = state.selection;
+    if (!rect || !canEditActiveLayer()) return false;
+
+    const before = captureDesign();
+    let cells = [];
+    updateActiveLayer((grid) => {
+        cells = extractRegion(grid, rect);
+        clearRegion(grid, rect);
+    });
+
+    state.floatingSelection = { ...rect, cells, before, lifted: true };
+    state.selection = null;
+    return true;
+}
+
+/**
+ * Move the floating selection so its top-left corner sits at (row, col)
+ * It may hang off the grid edges; off-grid cells are clipped when stamped.
+ * @param {number} row
+ * @param {number} col
+ */
+export function moveFloatingSelection(row, col) {
+    const floating = state.floatingSelection;
+    if (!floating) return;
+
+    floating.row = Math.max(1 - floating.height, Math.min(state.gridHeight - 1, row));
+    floating.col = Math.max(1 - floating.width, Math.min(state.gridWidth - 1, col));
+}
+
+/**
+ * Write the floating selection onto the grid and keep it floating
+ * Empty cells in the floating selection are transparent. Colors missing from
+ * the palette are added so the stamped motif stays editable.
+ * @returns {boolean} True if the grid changed
+ */
+export function stampFloatingSelection() {
+    const floating = state.floatingSelection;
+    if (!floating) return false;
+    if (!canEditActiveLayer()) {
+        // Put lifted cells back rather than losing them
+        restoreDesign(floating.before);
+        return false;
+    }
+
+    updateActiveLayer((grid) => {
+        for (let r = 0; r < floating.height; r++) {
+            for (let c = 0; c < floating.width; c++) {
+                const color = floating.cells[r][c];
+                const row = floating.row + r;
+                const col = floating.col + c;
+                if (!color || row < 0 || col < 0 || row >= state.gridHeight || col >= state.gridWidth) continue;
+                grid[row][col] = color;
+                ensurePaletteColor(color);
+            }
+        }
+    });
+
+    const changed = commitChange(floating.lifted ? 'Move selection' : 'Stamp selection', floating.before);
+    floating.before = captureDesign();
+    floating.lifted = false;
+    return changed;
+}
+
+/**
+ * Stamp the floating selection and stop floating it
+ * The dropped area becomes the regular selection.
+ * @returns {boolean} True if the grid changed
+ */
+export function dropFloatingSelection() {
+    const floating = state.floatingSelection;
+    if (!floating) return false;
+
+    const changed = stampFloatingSelection();
+    state.floatingSelection = null;
+    setSelection({ row: floating.row, col: floating.col, width: floating.width, height: floating.height });
+    return changed;
+}
+
+/**
+ * Discard the floating selection, putting lifted cells back where they were
+ * @returns {boolean} True if the grid changed
+ */
+export function cancelFloatingSelection() {
+    const floating = state.floatingSelection;
+    if (!floating) return false;
+
+    const changed = JSON.stringify(floating.before) !== JSON.stringify(captureDesign());
+    if (changed) {
+        restoreDesign(floating.before);
+    }
+    state.floatingSelection = null;
+    return changed;
+}
+
+/**
+ * Convert a region into clipboard pattern text (same layout as the .txt export)
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @returns {string} Pattern text with a legend
+ */
+export function regionToPatternText(cells) {
+    const colorMap = {};
+    const legend = [];
+    const rows = cells.map((row) => row.map((color) => {
+        if (!color) return '.';
+        if (!colorMap[color]) {
+            colorMap[color] = String.fromCharCode(65 + legend.length);
+            legend.push(`${colorMap[color]} = ${color}`);
+        }
+        return colorMap[color];
+    }).join(''));
+
+    return `PATTERN\n${rows.join('\n')}\n\nLEGEND\n${legend.join('\n')}`;
+}
+
+/**
+ * Parse pattern text (rows of letters plus an "A = #hex" legend)
+ * @param {string} text - Clipboard text
+ * @returns {Object|null} {width, height, cells} or null if not pattern text
+ */
+export function parsePatternText(text) {
+    if (!text) return null;
+
+    const legendPattern = /^\s*(\S)\s*=\s*(#[0-9a-f]{6})\s*$/i;
+    const colorMap = {};
+    const rows = [];
+
+    text.split(/\r?\n/).forEach((line) => {
+        const legendMatch = legendPattern.exec(line);
+        if (legendMatch) {
+            colorMap[legendMatch[1]] = legendMatch[2].toLowerCase();
+            return;
+        }
+        const trimmed = line.trim();
+        if (!trimmed || trimmed === 'PATTERN' || trimmed === 'LEGEND') return;
+        rows.push(trimmed);
+    });
+
+    if (rows.length === 0 || Object.keys(colorMap).length === 0) return null;
+
+    const width = Math.max(...rows.map((row) => row.length));
+    const cells = rows.map((row) => {
+        const out = [];
+        for (let c = 0; c < width; c++) {
+            out.push(colorMap[row[c]] || null);
+        }
+        return out;
+    });
+
+    return { width, height: rows.length, cells };
+}
+
+function clearRegion(grid, rect) {
+    for (let r = rect.row; r < rect.row + rect.height; r++) {
+        for (let c = rect.col; c < rect.col + rect.width; c++) {
+            grid[r][c] = null;
+        }
+    }
+}
+
+/**
+ * Add a color to the palette if it is not already there
+ * @param {string} hex
+ */
+function ensurePaletteColor(hex) {
+    if (state.palette.some((c) => c.hex.toLowerCase() === hex.toLowerCase())) return;
+    state.palette.push({ hex, label: `Color ${state.palette.length + 1}` });
+    if (!state.selectedColor) {
+        state.selectedColor = state.palette[0];
+    }
+}
+
+function writeSystemClipboard(text) {
+    if (!navigator.clipboard || !navigator.clipboard.writeText) return;
+    navigator.clipboard.writeText(text).catch(() => {
+        // System clipboard unavailable; the internal clipboard still works
+    });
+}
@@ -0,0 +1,131 @@
+/**
+ * @file shapes.js
+ * @description Cell rasterization for line, rectangle and ellipse tools
+ * Pure functions: each returns an array of [row, col] pairs.
+ */
+
+/**
+ * Rasterize a straight line between two cells (Bresenham)
+ * @param {number} r0 - Start row
+ * @param {number} c0 - Start column
+ * @param {number} r1 - End row
+ * @param {number} c1 - End column
+ * @returns {number[][]} Cells on the line, start and end included
+ */
+export function getLineCells(r0, c0, r1, c1) {
+    const cells = [];
+    const dc = Math.abs(c1 - c0);
+    const dr = -Math.abs(r1 - r0);
+    const stepC = c0 < c1 ? 1 : -1;
+    const stepR = r0 < r1 ? 1 : -1;
+    let err = dc + dr;
+    let r = r0;
+    let c = c0;
+
+    while (true) {
+        cells.push([r, c]);
+        if (r === r1 && c === c1) break;
+        const e2 = 2 * err;
+        if (e2 >= dr) {
+            err += dr;
+            c += stepC;
+        }
+        if (e2 <= dc) {
+            err += dc;
+            r += stepR;
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Rasterize a rectangle spanning two corner cells
+ * @param {number} r0 - Corner row
+ * @param {number} c0 - Corner column
+ * @param {number} r1 - Opposite corner row
+ * @param {number} c1 - Opposite corner column
+ * @param {boolean} filled - Fill the interior instead of the outline only
+ * @returns {number[][]} Cells of the rectangle
+ */
+export function getRectangleCells(r0, c0, r1, c1, filled = false) {
+    const top = Math.min(r0, r1);
+    const bottom = Math.max(r0, r1);
+    const left = Math.min(c0, c1);
+    const right = Math.max(c0, c1);
+    const cells = [];
+
+    for (let r = top; r <= bottom; r++) {
+        for (let c = left; c <= right; c++) {
+            const onEdge = r === top || r === bottom || c === left || c === right;
+            if (filled || onEdge) {
+                cells.push([r, c]);
+            }
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Rasterize an ellipse inscribed in the box spanning two corner cells
+ * The outline is the set of filled cells that touch the outside, which keeps
+ * it one cell thick and free of gaps at any aspect ratio.
+ * @param {number} r0 - Corner row
+ * @param {number} c0 - Corner column
+ * @param {number} r1 - Opposite corner row
+ * @param {number} c1 - Opposite corner column
+ * @param {boolean} filled - Fill the interior instead of the outline only
+ * @returns {number[][]} Cells of the ellipse
+ */
+export function getEllipseCells(r0, c0, r1, c1, filled = false) {
+    const top = Math.min(r0, r1);
+    const bottom = Math.max(r0, r1);
+    const left = Math.min(c0, c1);
+    const right = Math.max(c0, c1);
+    const centerR = (top + bottom) / 2;
+    const centerC = (left + right) / 2;
+    const radiusR = (bottom - top + 1) / 2;
+    const radiusC = (right - left + 1) / 2;
+
+    const inside = (r, c) => {
+        if (r < top || r > bottom || c < left || c > right) return false;
+        const dr = (r - centerR) / radiusR;
+        const dc = (c - centerC) / radiusC;
+        return dr * dr + dc * dc <= 1;
+    };
+
+    const cells = [];
+    for (let r = top; r <= bottom; r++) {
+        for (let c = left; c <= right; c++) {
+            if (!inside(r, c)) continue;
+            const onEdge = !inside(r - 1, c) || !inside(r + 1, c) || !inside(r, c - 1) || !inside(r, c + 1);
+            if (filled || onEdge) {
+                cells.push([r, c]);
+            }
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Rasterize a shape tool between two cells
+ * @param {string} tool - 'line', 'rectangle' or 'ellipse'
+ * @param {Object} start - {row, col}
+ * @param {Object} end - {row, col}
+ * @param {boolean} filled - Filled variant for rectangle/ellipse
+ * @returns {number[][]} Cells of the shape
+ */
+export function getShapeCells(tool, start, end, filled = false) {
+    switch (tool) {
+        case 'line':
+            return getLineCells(start.row, start.col, end.row, end.col);
+        case 'rectangle':
+            return getRectangleCells(start.row, start.col, end.row, end.col, filled);
+        case 'ellipse':
+            return getEllipseCells(start.row, start.col, end.row, end.col, filled);
+        default:
+            return [[end.row, end.col]];
+    }
+}
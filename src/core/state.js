@@ -9,12 +9,83 @@ export const state = {
     // Grid State
     gridWidth: 24,
     gridHeight: 24,
-    gridData: [],
+    gridData: [],                 // Flattened composite of the visible layers
+    layers: [],                   // Bottom to top: {id, name, visible, locked, opacity, cells: {'row,col': hex}}
+    activeLayerId: 'motif',       // Layer that receives edits
+
+    // Normal (diagonal) pattern State
+    patternMode: 'alpha',         // 'alpha' (grid) or 'normal' (knot chart)
+    normal: {
+        strings: [],              // String colors left to right at the top of the chart
+        rows: [],                 // Knot types per row: 'f', 'b', 'fb' or 'bf'
+    },
     
     // Palette State
     palette: [],
     selectedColor: null,
     
+    // Editor Tool State
+    activeTool: 'paint',          // 'paint', 'select', 'line', 'rectangle', 'ellipse', 'fill', 'eyedropper', 'replace' or 'text'
+    shapeFilled: false,           // Filled (true) or outlined rectangles/ellipses
+    fillConnectivity: 4,          // 4 or 8 neighbors
+    fillGlobal: false,            // Replace every matching cell instead of the region
+    resizeAnchor: 'center',       // Where existing cells stay when the grid is resized
+    zoom: 1,                      // Grid zoom factor (1 = responsive base cell size)
+    guides: {
+        numbers: false,           // Row/column numbers along the edges
+        majorEvery: 0,            // Bold gridline every N cells (0, 5 or 10)
+        centerMarkers: false,     // Mark the center column/row
+        highlightRow: false,      // Highlight guides.currentRow
+        currentRow: 0,            // 0-based row being knotted
+    },
+    textOptions: {
+        text: '',                 // Text to place
+        font: '5x7',              // Key of PIXEL_FONTS
+        spacing: 1,               // Empty columns (or rows when stacked) between letters
+        orientation: 'horizontal', // 'horizontal', 'vertical' (turned 90°) or 'stacked'
+        fitGrid: true,            // Resize the grid to fit when placing centered text
+        replace: true,            // Clear the Text layer before placing
+    },
+    repeat: {
+        count: 1,                 // Tiles in the repeat preview
+        spacerRows: 0,            // Rows between tiles
+        spacerColor: null,        // Spacer row color (null = empty)
+        mirror: 'none',           // Flip every second tile: 'none', 'vertical' or 'horizontal'
+        lengthCm: 16,             // Planned bracelet length
+        knotMm: 3,                // Height of one knotted row
+    },
+    threads: {
+        wristCm: 15,              // Wrist size for the thread calculator
+        tightness: 'normal',      // Key of KNOT_TIGHTNESS
+    },
+    beads: {
+        style: 'loom',            // Key of BEAD_STYLES: 'loom', 'peyote' or 'brick'
+    },
+    fuseBeads: {
+        brand: 'perler',          // Key of FUSE_BEAD_BRANDS
+    },
+    floss: {
+        brand: 'dmc',             // Key of FLOSS_BRANDS used by Snap to Floss
+    },
+    inventory: {
+        constrain: false,         // Design with owned threads only (saved with the inventory)
+    },
+    symmetry: {
+        mode: 'none',             // 'none', 'vertical', 'horizontal', 'quadrant', 'rotate2', 'rotate4'
+        axisCol: null,            // Vertical axis in columns (null = center, .5 = between cells)
+        axisRow: null,            // Horizontal axis in rows (null = center)
+    },
+    
+    // Selection State
+    selection: null,              // {row, col, width, height} or null
+    floatingSelection: null,      // Pasted/lifted cells being moved: {row, col, width, height, cells, before}
+    clipboard: null,              // Internal clipboard: {width, height, cells}
+    
+    // History State (undo/redo command stacks)
+    undoStack: [],
+    redoStack: [],
+    historyLimit: 100,
+    
     // Image Import State
     uploadedImage: null,
     processedImageData: null,
@@ -45,8 +116,33 @@ export function resetState() {
     state.gridWidth = 24;
     state.gridHeight = 24;
     state.gridData = [];
+    state.layers = [];
+    state.activeLayerId = 'motif';
+    state.patternMode = 'alpha';
+    state.normal = { strings: [], rows: [] };
     state.palette = [];
     state.selectedColor = null;
+    state.activeTool = 'paint';
+    state.shapeFilled = false;
+    state.fillConnectivity = 4;
+    state.fillGlobal = false;
+    state.resizeAnchor = 'center';
+    state.zoom = 1;
+    state.guides = { numbers: false, majorEvery: 0, centerMarkers: false, highlightRow: false, currentRow: 0 };
+    state.textOptions = { text: '', font: '5x7', spacing: 1, orientation: 'horizontal', fitGrid: true, replace: true };
+    state.repeat = { count: 1, spacerRows: 0, spacerColor: null, mirror: 'none', lengthCm: 16, knotMm: 3 };
+    state.threads = { wristCm: 15, tightness: 'normal' };
+    state.beads = { style: 'loom' };
+    state.fuseBeads = { brand: 'perler' };
+    state.floss = { brand: 'dmc' };
+    state.inventory = { constrain: false };
+    state.symmetry = { mode: 'none', axisCol: null, axisRow: null };
+    state.selection = null;
+    state.floatingSelection = null;
+    state.clipboard = null;
+    state.undoStack = [];
+    state.redoStack = [];
+    state.historyLimit = 100;
     state.uploadedImage = null;
     state.processedImageData = null;
     state.harmonizerPalette = null;
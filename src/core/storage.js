@@ -8,10 +8,17 @@ import { showNotification } from '../utils/notifications.js';
 import { renderPalette } from './palette.js';
 import { renderGrid } from './grid.js';
 import { updateExport } from './export.js';
+import { recordChange, clearHistory } from './history.js';
+import { normalizeGuides, syncGuideControls } from './guides.js';
+import { loadLayers } from './layers.js';
+import { normalizeNormalPattern, initNormalPattern } from './normalPattern.js';
 
 const STORAGE_KEY = 'braceyourself_current_design';
 const RECENT_SESSION_KEY = 'braceyourself_recent_sessions';
 const FAVORITES_KEY = 'braceyourself_favorites';
+const MAKE_PROGRESS_KEY = 'braceyourself_make_progress';
+const MAX_MAKE_PROGRESS = 20;
+const THREAD_INVENTORY_KEY = 'braceyourself_thread_inventory';
 
 /**
  * Save current design to localStorage
@@ -21,8 +28,13 @@ export function saveDesign() {
         gridWidth: state.gridWidth,
         gridHeight: state.gridHeight,
         gridData: state.gridData,
+        layers: state.layers,
+        activeLayerId: state.activeLayerId,
+        patternMode: state.patternMode,
+        normal: state.normal,
         palette: state.palette,
         selectedColorHex: state.selectedColor ? state.selectedColor.hex : null,
+        guides: state.guides,
     };
 
     try {
@@ -61,7 +73,11 @@ export function loadDesign() {
     state.gridWidth = design.gridWidth || 24;
     state.gridHeight = design.gridHeight || 24;
     state.gridData = design.gridData || [];
+    loadLayers(design.layers, design.activeLayerId);
     state.palette = design.palette || [];
+    state.guides = normalizeGuides(design.guides);
+    state.patternMode = design.patternMode === 'normal' ? 'normal' : 'alpha';
+    state.normal = normalizeNormalPattern(design.normal);
 
     // Restore selected color
     if (design.selectedColorHex) {
@@ -70,6 +86,7 @@ export function loadDesign() {
     if (!state.selectedColor && state.palette.length > 0) {
         state.selectedColor = state.palette[0];
     }
+    clearHistory();
 
     // Update grid size inputs
     const widthInput = document.getElementById('widthInput');
@@ -103,7 +120,7 @@ export function promptLoadDesign() {
  * Clear everything and reset to default
  */
 export async function handleClearDesign() {
-    if (confirm('Clear the entire grid and reset to default? This cannot be undone.')) {
+    if (confirm('Clear the entire grid and reset to default?')) {
         // Import these dynamically to avoid circular deps
         let initPalette, initGrid;
         try {
@@ -118,10 +135,13 @@ export async function handleClearDesign() {
             showNotification('Failed to load grid module.', 'error');
             return;
         }
-        initPalette();
-        initGrid();
-        state.gridWidth = 24;
-        state.gridHeight = 24;
+        recordChange('Clear design', () => {
+            state.gridWidth = 24;
+            state.gridHeight = 24;
+            initPalette();
+            initGrid();
+            initNormalPattern();
+        });
         document.getElementById('widthInput').value = 24;
         document.getElementById('heightInput').value = 24;
         renderPalette();
@@ -165,7 +185,12 @@ export function saveRecentSession() {
         gridWidth: state.gridWidth,
         gridHeight: state.gridHeight,
         gridData: state.gridData,
+        layers: state.layers,
+        activeLayerId: state.activeLayerId,
+        patternMode: state.patternMode,
+        normal: state.normal,
         palette: state.palette,
+        guides: state.guides,
         savedAt: new Date().toISOString(),
     };
 
@@ -187,8 +212,14 @@ export function loadRecentSession(session) {
     state.gridWidth = session.gridWidth;
     state.gridHeight = session.gridHeight;
     state.gridData = session.gridData;
+    loadLayers(session.layers, session.activeLayerId);
     state.palette = session.palette;
     state.selectedColor = state.palette[0] || null;
+    state.guides = normalizeGuides(session.guides);
+    state.patternMode = session.patternMode === 'normal' ? 'normal' : 'alpha';
+    state.normal = normalizeNormalPattern(session.normal);
+    clearHistory();
+    syncGuideControls();
 
     document.getElementById('widthInput').value = state.gridWidth;
     document.getElementById('heightInput').value = state.gridHeight;
@@ -278,3 +309,85 @@ export function toggleFavorite(templateId) {
 export function isFavorited(templateId) {
     return getFavorites().includes(templateId);
 }
+
+/**
+ * Get saved Make mode progress for a design
+ * @param {string} designKey - Key from getDesignKey()
+ * @returns {Object|null} {row, done, elapsedMs, updatedAt} or null if none is saved
+ */
+export function getMakeProgress(designKey) {
+    return readMakeProgress()[designKey] || null;
+}
+
+/**
+ * Save Make mode progress for a design
+ * Only the most recently updated designs are kept.
+ * @param {string} designKey - Key from getDesignKey()
+ * @param {Object} progress - {row, done, elapsedMs}
+ */
+export function saveMakeProgress(designKey, progress) {
+    const all = readMakeProgress();
+    all[designKey] = { ...progress, updatedAt: Date.now() };
+
+    const kept = Object.entries(all)
+        .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+        .slice(0, MAX_MAKE_PROGRESS);
+    try {
+        localStorage.setItem(MAKE_PROGRESS_KEY, JSON.stringify(Object.fromEntries(kept)));
+    } catch (e) {
+        showNotification('Error saving progress.', 'error');
+    }
+}
+
+/**
+ * Get the saved thread inventory
+ * @returns {Object} {threads: [{catalog, brand, code, name, hex, meters}], constrain}
+ */
+export function getThreadInventory() {
+    let saved;
+    try {
+        saved = localStorage.getItem(THREAD_INVENTORY_KEY);
+    } catch (e) {
+        showNotification('Error accessing thread inventory.', 'error');
+        return { threads: [], constrain: false };
+    }
+    if (!saved) return { threads: [], constrain: false };
+    try {
+        const inventory = JSON.parse(saved);
+        return {
+            threads: Array.isArray(inventory.threads) ? inventory.threads : [],
+            constrain: !!inventory.constrain,
+        };
+    } catch (e) {
+        showNotification('Error parsing thread inventory.', 'error');
+        return { threads: [], constrain: false };
+    }
+}
+
+/**
+ * Save the thread inventory
+ * @param {Object} inventory - {threads, constrain}
+ */
+export function saveThreadInventory(inventory) {
+    try {
+        localStorage.setItem(THREAD_INVENTORY_KEY, JSON.stringify(inventory));
+    } catch (e) {
+        showNotification('Error saving thread inventory.', 'error');
+    }
+}
+
+function readMakeProgress() {
+    let saved;
+    try {
+        saved = localStorage.getItem(MAKE_PROGRESS_KEY);
+    } catch (e) {
+        showNotification('Error accessing saved progress.', 'error');
+        return {};
+    }
+    if (!saved) return {};
+    try {
+        return JSON.parse(saved) || {};
+    } catch (e) {
+        return {};
+    }
+}
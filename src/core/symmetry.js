@@ -0,0 +1,108 @@
+/**
+ * @file symmetry.js
+ * @description Live symmetry for painting tools
+ * Mirrors cells across a vertical axis, a horizontal axis, both (quadrant),
+ * or rotates them 2- or 4-fold around the axis center.
+ */
+
+import { state } from './state.js';
+
+export const SYMMETRY_MODES = ['none', 'vertical', 'horizontal', 'quadrant', 'rotate2', 'rotate4'];
+
+/**
+ * Get the concrete axis positions in cell units
+ * An axis of 11.5 runs between columns 11 and 12; 12 runs through column 12.
+ * Unset axes default to the grid center.
+ * @returns {Object} {axisCol, axisRow}
+ */
+export function getSymmetryAxes() {
+    const { axisCol, axisRow } = state.symmetry;
+    return {
+        axisCol: axisCol === null ? (state.gridWidth - 1) / 2 : axisCol,
+        axisRow: axisRow === null ? (state.gridHeight - 1) / 2 : axisRow,
+    };
+}
+
+/**
+ * Get the positions a cell maps to under the current symmetry mode
+ * The source cell is always first. Positions may fall outside the grid.
+ * @param {number} row
+ * @param {number} col
+ * @returns {number[][]} Array of [row, col] pairs
+ */
+export function getMirroredPoints(row, col) {
+    const { axisCol, axisRow } = getSymmetryAxes();
+    const mirrorCol = Math.round(2 * axisCol - col);
+    const mirrorRow = Math.round(2 * axisRow - row);
+
+    switch (state.symmetry.mode) {
+        case 'vertical':
+            return [[row, col], [row, mirrorCol]];
+        case 'horizontal':
+            return [[row, col], [mirrorRow, col]];
+        case 'quadrant':
+            return [[row, col], [row, mirrorCol], [mirrorRow, col], [mirrorRow, mirrorCol]];
+        case 'rotate2':
+            return [[row, col], [mirrorRow, mirrorCol]];
+        case 'rotate4': {
+            const dr = row - axisRow;
+            const dc = col - axisCol;
+            return [
+                [row, col],
+                [Math.round(axisRow + dc), Math.round(axisCol - dr)],
+                [mirrorRow, mirrorCol],
+                [Math.round(axisRow - dc), Math.round(axisCol + dr)],
+            ];
+        }
+        default:
+            return [[row, col]];
+    }
+}
+
+/**
+ * Expand a list of cells with their symmetric counterparts
+ * Duplicates and off-grid positions are dropped.
+ * @param {number[][]} cells - Array of [row, col] pairs
+ * @returns {number[][]} Array of [row, col] pairs
+ */
+export function getSymmetricCells(cells) {
+    if (state.symmetry.mode === 'none') return cells;
+
+    const seen = new Set();
+    const result = [];
+    cells.forEach(([row, col]) => {
+        getMirroredPoints(row, col).forEach(([r, c]) => {
+            if (r < 0 || c < 0 || r >= state.gridHeight || c >= state.gridWidth) return;
+            const key = r * state.gridWidth + c;
+            if (seen.has(key)) return;
+            seen.add(key);
+            result.push([r, c]);
+        });
+    });
+    return result;
+}
+
+/**
+ * Set the symmetry mode
+ * @param {string} mode - One of SYMMETRY_MODES
+ */
+export function setSymmetryMode(mode) {
+    state.symmetry.mode = SYMMETRY_MODES.includes(mode) ? mode : 'none';
+}
+
+/**
+ * Set the axis positions; null (or an empty value) means the grid center
+ * Values snap to half cells so an axis runs through or between cells.
+ * @param {number|string|null} axisCol - Vertical axis position in columns
+ * @param {number|string|null} axisRow - Horizontal axis position in rows
+ */
+export function setSymmetryAxes(axisCol, axisRow) {
+    state.symmetry.axisCol = parseAxis(axisCol, state.gridWidth);
+    state.symmetry.axisRow = parseAxis(axisRow, state.gridHeight);
+}
+
+function parseAxis(value, size) {
+    const num = parseFloat(value);
+    if (value === null || value === '' || isNaN(num)) return null;
+    return Math.min(size - 1, Math.max(0, Math.round(num * 2) / 2));
+}
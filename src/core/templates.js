@@ -9,6 +9,9 @@ import { showNotification } from '../utils/notifications.js';
 import { renderGrid } from './grid.js';
 import { renderPalette } from './palette.js';
 import { updateExport } from './export.js';
+import { recordChange } from './history.js';
+import { setLayersFromGrid } from './layers.js';
+import { getInventoryMatcher, inventoryPaletteColor } from './inventory.js';
 
 /**
  * Initialize template library
@@ -499,18 +502,27 @@ export function applyRandomTemplate(category) {
  * @param {Object} template - Template object to apply
  */
 export async function applyTemplateToGrid(template) {
-    // Resize grid to template size
-    state.gridWidth = template.width;
-    state.gridHeight = template.height;
-    state.gridData = buildGridDataFromTemplate(template);
-
-    // Set palette to template colors
-    const paletteEntries = getTemplatePaletteEntries(template);
-    state.palette = paletteEntries.map((entry, index) => ({
-        hex: entry.hex,
-        label: `Color ${index + 1}`,
-    }));
-    state.selectedColor = state.palette[0] || null;
+    let gridData = buildGridDataFromTemplate(template);
+    let colors = getTemplatePaletteEntries(template).map((entry) => entry.hex);
+
+    // Designing with the inventory: recolor the template with the closest threads in stock
+    const toThread = getInventoryMatcher();
+    if (toThread) {
+        gridData = gridData.map((row) => row.map((color) => (color ? toThread(color).hex : null)));
+        colors = [...new Set(colors.map((hex) => toThread(hex).hex))];
+    }
+
+    recordChange(`Apply template "${template.name}"`, () => {
+        // Resize grid to template size
+        state.gridWidth = template.width;
+        state.gridHeight = template.height;
+        // A template is a fresh design: its cells start on the background layer
+        setLayersFromGrid(gridData);
+
+        // Set palette to template colors
+        state.palette = colors.map((hex, index) => inventoryPaletteColor(hex, `Color ${index + 1}`));
+        state.selectedColor = state.palette[0] || null;
+    });
 
     // Update UI
     document.getElementById('widthInput').value = template.width;
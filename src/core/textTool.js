@@ -0,0 +1,185 @@
+/**
+ * @file textTool.js
+ * @description Text tool: type a word and place it on the Text layer
+ * Clicking the grid with the text tool puts the top-left corner of the text on
+ * the clicked cell. "Place & fit" centers it instead and, if enabled, resizes
+ * the grid so the text fits the bracelet width with a one-cell margin.
+ * Callers re-render after placing.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { recordChange } from './history.js';
+import { dropFloatingSelection } from './selection.js';
+import { resizeCells, countCroppedCells, MIN_GRID_SIZE, MAX_GRID_SIZE } from './resize.js';
+import { getLayer, layerToGrid, mapLayers, updateLayer, setActiveLayer, canEditLayer } from './layers.js';
+import { PIXEL_FONTS, DEFAULT_FONT, TEXT_ORIENTATIONS, renderText } from './pixelFonts.js';
+
+const TEXT_LAYER = 'text';
+const TEXT_MARGIN = 1;
+const MAX_SPACING = 5;
+
+/**
+ * Wire the text tool options in the editor toolbar
+ */
+export function initTextTool() {
+    const fontSelect = document.getElementById('textFontSelect');
+    if (fontSelect) {
+        fontSelect.innerHTML = Object.entries(PIXEL_FONTS)
+            .map(([id, font]) => `<option value="${id}">${font.name}</option>`)
+            .join('');
+        fontSelect.value = state.textOptions.font;
+        fontSelect.addEventListener('change', () => setTextOption('font', fontSelect.value));
+    }
+
+    document.getElementById('textInput')?.addEventListener('input', (e) => setTextOption('text', e.target.value));
+    document.getElementById('textSpacingInput')?.addEventListener('change', (e) => {
+        setTextOption('spacing', parseInt(e.target.value, 10));
+        e.target.value = state.textOptions.spacing;
+    });
+    document.getElementById('textOrientationSelect')?.addEventListener('change', (e) => {
+        setTextOption('orientation', e.target.value);
+    });
+    document.getElementById('textFitToggle')?.addEventListener('change', (e) => setTextOption('fitGrid', e.target.checked));
+    document.getElementById('textReplaceToggle')?.addEventListener('change', (e) => setTextOption('replace', e.target.checked));
+}
+
+/**
+ * Change one text option, ignoring invalid values
+ * @param {string} key - Key of state.textOptions
+ * @param {*} value
+ */
+export function setTextOption(key, value) {
+    const options = state.textOptions;
+    if (key === 'font' && !PIXEL_FONTS[value]) value = DEFAULT_FONT;
+    if (key === 'orientation' && !TEXT_ORIENTATIONS.includes(value)) value = 'horizontal';
+    if (key === 'spacing') value = isNaN(value) ? 1 : Math.max(0, Math.min(MAX_SPACING, value));
+    options[key] = value;
+}
+
+/**
+ * Render the current text options
+ * @returns {Object} Result of renderText()
+ */
+export function getRenderedText() {
+    const { text, font, spacing, orientation } = state.textOptions;
+    return renderText(text, font, { spacing, orientation });
+}
+
+/**
+ * Cells the text would cover with its top-left corner at (row, col)
+ * Used for the hover preview.
+ * @param {number} row
+ * @param {number} col
+ * @returns {number[][]} [row, col] pairs (may fall outside the grid)
+ */
+export function getTextCells(row, col) {
+    const { pixels } = getRenderedText();
+    const cells = [];
+    pixels.forEach((line, r) => {
+        line.forEach((filled, c) => {
+            if (filled) cells.push([row + r, col + c]);
+        });
+    });
+    return cells;
+}
+
+/**
+ * Write the text onto the Text layer as one undoable step
+ * Centered placement may resize the grid, so callers should sync the grid bounds.
+ * @param {number|null} row - Top row, or null to center (and fit the grid if enabled)
+ * @param {number|null} col - Left column, or null to center
+ * @returns {boolean} True if the text was placed
+ */
+export function placeText(row = null, col = null) {
+    const options = state.textOptions;
+    if (!options.text.trim()) {
+        showNotification('Type some text first.', 'info');
+        return false;
+    }
+    if (!state.selectedColor) {
+        showNotification('Please add a color to the palette first.', 'warning');
+        return false;
+    }
+
+    const rendered = getRenderedText();
+    if (rendered.width === 0) {
+        showNotification('None of those characters are in this font.', 'warning');
+        return false;
+    }
+    const layer = getLayer(TEXT_LAYER);
+    if (!canEditLayer(layer)) return false;
+
+    const centered = row === null || col === null;
+    const size = centered && options.fitGrid ? getFittedSize(rendered) : null;
+    if (size === false) return false;
+    if (size && !confirmFit(size)) return false;
+
+    const color = state.selectedColor.hex;
+    dropFloatingSelection();
+    recordChange(`Add text "${options.text.trim()}"`, () => {
+        if (size) {
+            mapLayers((cells) => resizeCells(cells, size.width, size.height, 'center'));
+        }
+        const top = centered ? Math.floor((state.gridHeight - rendered.height) / 2) : row;
+        const left = centered ? Math.floor((state.gridWidth - rendered.width) / 2) : col;
+
+        updateLayer(TEXT_LAYER, (grid) => {
+            if (options.replace) grid.forEach((line) => line.fill(null));
+            rendered.pixels.forEach((line, r) => {
+                line.forEach((filled, c) => {
+                    const gr = top + r;
+                    const gc = left + c;
+                    if (filled && gr >= 0 && gc >= 0 && gr < state.gridHeight && gc < state.gridWidth) {
+                        grid[gr][gc] = color;
+                    }
+                });
+            });
+        });
+        setActiveLayer(TEXT_LAYER);
+    });
+
+    if (rendered.missing.length > 0) {
+        showNotification(`Skipped characters this font does not have: ${rendered.missing.join(' ')}`, 'info');
+    }
+    return true;
+}
+
+/**
+ * Grid size that fits the text with a margin
+ * The side across the text (the bracelet width) is set to the text's
+ * thickness; the side along the text only grows.
+ * @param {Object} rendered - Result of renderText()
+ * @returns {Object|false|null} {width, height}, false if it cannot fit, or null if no change is needed
+ */
+function getFittedSize(rendered) {
+    const across = state.textOptions.orientation === 'horizontal' ? 'height' : 'width';
+    const along = across === 'height' ? 'width' : 'height';
+    const current = { width: state.gridWidth, height: state.gridHeight };
+
+    const size = {
+        [across]: Math.max(MIN_GRID_SIZE, rendered[across] + TEXT_MARGIN * 2),
+        [along]: Math.max(current[along], rendered[along] + TEXT_MARGIN * 2),
+    };
+    if (size.width > MAX_GRID_SIZE || size.height > MAX_GRID_SIZE) {
+        showNotification(`The text needs ${size.width}×${size.height} cells, more than the ${MAX_GRID_SIZE}-cell limit. Try a smaller font or less spacing.`, 'error');
+        return false;
+    }
+    if (size.width === current.width && size.height === current.height) return null;
+    return size;
+}
+
+/**
+ * Ask before a fit resize crops painted cells
+ * Cells on the Text layer do not count when they are about to be replaced.
+ * @param {Object} size - {width, height}
+ * @returns {boolean} True to go ahead
+ */
+function confirmFit(size) {
+    const lost = state.layers.reduce((sum, layer) => {
+        if (layer.id === TEXT_LAYER && state.textOptions.replace) return sum;
+        return sum + countCroppedCells(layerToGrid(layer), size.width, size.height, 'center');
+    }, 0);
+    if (lost === 0) return true;
+    return confirm(`Fitting the grid to ${size.width}×${size.height} will remove ${lost} painted cell${lost === 1 ? '' : 's'}. Continue?`);
+}
@@ -0,0 +1,160 @@
+/**
+ * @file threadCalculator.js
+ * @description String setup and floss length estimate for an alpha bracelet
+ * The grid is repeated along the whole bracelet, so colors use floss in
+ * proportion to how many cells they cover. Base strings run the full length
+ * in the background color; each color has a working string that is knotted
+ * where the color shows and carried along the back everywhere else.
+ */
+
+import { state } from './state.js';
+import { generateKnotInstructions } from './export.js';
+
+/** Row height and floss used per double knot for each knot tightness */
+export const KNOT_TIGHTNESS = {
+    tight: { name: 'Tight', rowMm: 2.5, knotCm: 1.0 },
+    normal: { name: 'Normal', rowMm: 3, knotCm: 1.25 },
+    loose: { name: 'Loose', rowMm: 3.5, knotCm: 1.5 },
+};
+
+const EASE_CM = 1.5;            // Added to the wrist so the bracelet can be tied
+const TAIL_CM = 15;             // Left free at each end for tying off
+const MAX_WORKING_CM = 200;     // Longer working strings tangle; cut several instead
+const SKEIN_CM = 800;           // One standard 8 m skein of embroidery floss
+
+/**
+ * Wire the thread calculator panel
+ */
+export function initThreadCalculator() {
+    const wristInput = document.getElementById('threadWristInput');
+    const tightnessSelect = document.getElementById('threadTightnessSelect');
+
+    if (wristInput) wristInput.value = state.threads.wristCm;
+    if (tightnessSelect) tightnessSelect.value = state.threads.tightness;
+
+    document.getElementById('calculateThreadsBtn')?.addEventListener('click', showThreadCalculation);
+    wristInput?.addEventListener('change', () => {
+        const wrist = parseFloat(wristInput.value);
+        state.threads.wristCm = isNaN(wrist) ? 15 : Math.max(8, Math.min(30, wrist));
+        wristInput.value = state.threads.wristCm;
+        refreshIfShown();
+    });
+    tightnessSelect?.addEventListener('change', () => {
+        state.threads.tightness = KNOT_TIGHTNESS[tightnessSelect.value] ? tightnessSelect.value : 'normal';
+        refreshIfShown();
+    });
+}
+
+/**
+ * Estimate strings and floss for the current grid
+ * @returns {Object|null} null when nothing is painted, otherwise
+ *   {braceletCm, rows, baseStrings: {count, lengthCm, letter, color},
+ *    colors: [{color, letter, knots, workingStrings, lengthCm, skeins}], totalSkeins}
+ *   Color lengths include the base strings for the background color.
+ */
+export function calculateThreads() {
+    const { width, height, background, rows } = generateKnotInstructions();
+    if (!background) return null;
+
+    const tightness = KNOT_TIGHTNESS[state.threads.tightness] || KNOT_TIGHTNESS.normal;
+    const braceletCm = state.threads.wristCm + EASE_CM;
+    const knottedRows = Math.ceil((braceletCm * 10) / tightness.rowMm);
+    const repeatFactor = knottedRows / height;
+    const baseLength = braceletCm + TAIL_CM * 2;
+
+    // Knots in one pass of the grid, per color, in letter order
+    const knotsByColor = new Map();
+    knotsByColor.set(background.color, { letter: background.letter, knots: 0 });
+    rows.forEach((row) => {
+        row.runs.forEach((run) => {
+            if (!knotsByColor.has(run.color)) knotsByColor.set(run.color, { letter: run.letter, knots: 0 });
+            knotsByColor.get(run.color).knots += run.count;
+        });
+    });
+
+    const colors = [...knotsByColor.entries()]
+        .sort((a, b) => a[1].letter.localeCompare(b[1].letter))
+        .map(([color, { letter, knots }]) => {
+            const totalKnots = Math.round(knots * repeatFactor);
+            const workingLength = totalKnots * tightness.knotCm + baseLength;
+            const baseTotal = color === background.color ? width * baseLength : 0;
+            const lengthCm = Math.ceil(workingLength + baseTotal);
+            return {
+                color,
+                letter,
+                knots: totalKnots,
+                workingStrings: Math.ceil(workingLength / MAX_WORKING_CM),
+                lengthCm,
+                skeins: Math.ceil(lengthCm / SKEIN_CM),
+            };
+        });
+
+    return {
+        braceletCm,
+        rows: knottedRows,
+        baseStrings: { count: width, lengthCm: Math.ceil(baseLength), letter: background.letter, color: background.color },
+        colors,
+        totalSkeins: colors.reduce((sum, c) => sum + c.skeins, 0),
+    };
+}
+
+/**
+ * Calculate and show the thread estimate
+ */
+export function showThreadCalculation() {
+    const output = document.getElementById('threadOutput');
+    if (!output) return;
+
+    const result = calculateThreads();
+    if (!result) {
+        output.innerHTML = '<p class="thread-note">Paint some cells to estimate the thread you need.</p>';
+        output.style.display = 'block';
+        return;
+    }
+
+    const { braceletCm, rows, baseStrings, colors, totalSkeins } = result;
+    let html = `
+        <p class="thread-note">${braceletCm} cm bracelet ≈ ${rows} rows. Lengths include ${TAIL_CM} cm tails at each end.</p>
+        <div class="thread-setup">
+            <strong>${baseStrings.count}</strong> base strings of ${baseStrings.letter}, ${baseStrings.lengthCm} cm each
+        </div>
+        <table class="thread-table">
+            <thead>
+                <tr><th>Color</th><th>Knots</th><th>Working strings</th><th>Length</th><th>Skeins</th></tr>
+            </thead>
+            <tbody>
+    `;
+    colors.forEach((c) => {
+        html += `
+                <tr>
+                    <td><span class="thread-swatch" style="background-color: ${c.color};"></span>${c.letter}</td>
+                    <td>${c.knots}</td>
+                    <td>${c.workingStrings}</td>
+                    <td>${formatLength(c.lengthCm)}</td>
+                    <td>${c.skeins}</td>
+                </tr>
+        `;
+    });
+    html += `
+            </tbody>
+        </table>
+        <div class="thread-total">Total: ${totalSkeins} skein${totalSkeins === 1 ? '' : 's'} (8 m each)</div>
+    `;
+
+    output.innerHTML = html;
+    output.style.display = 'block';
+}
+
+/**
+ * Format a length in cm, switching to meters above 1 m
+ * @param {number} cm
+ * @returns {string}
+ */
+export function formatLength(cm) {
+    return cm >= 100 ? `${(cm / 100).toFixed(1)} m` : `${cm} cm`;
+}
+
+function refreshIfShown() {
+    const output = document.getElementById('threadOutput');
+    if (output && output.style.display !== 'none') showThreadCalculation();
+}
@@ -0,0 +1,295 @@
+/**
+ * @file transform.js
+ * @description Grid transform operations: flip, rotate, shift and crop
+ * The pure helpers work on any 2D color array. applyTransform() runs them on
+ * the floating selection, the selected region of the active layer, or every
+ * layer of the whole grid.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { recordChange } from './history.js';
+import { renderGrid, syncGridSizeInputs } from './grid.js';
+import { updateExport } from './export.js';
+import { extractRegion, setSelection } from './selection.js';
+import { mapLayers, updateActiveLayer, canEditActiveLayer, flattenLayers } from './layers.js';
+import { MIN_GRID_SIZE } from './resize.js';
+
+/**
+ * Initialize transform panel UI
+ */
+export function initTransformControls() {
+    document.querySelectorAll('[data-transform]').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            const amount = parseInt(document.getElementById('shiftAmountInput')?.value, 10) || 1;
+            const wrap = Boolean(document.getElementById('shiftWrapToggle')?.checked);
+            applyTransform(btn.dataset.transform, { amount, wrap });
+        });
+    });
+}
+
+// ============================================
+// PURE TRANSFORMS
+// ============================================
+
+/**
+ * Mirror left ↔ right
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function flipHorizontal(cells) {
+    return cells.map((row) => row.slice().reverse());
+}
+
+/**
+ * Mirror top ↕ bottom
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function flipVertical(cells) {
+    return cells.slice().reverse().map((row) => row.slice());
+}
+
+/**
+ * Rotate a quarter turn; width and height swap
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {boolean} clockwise - Direction of rotation
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function rotate90(cells, clockwise = true) {
+    const height = cells.length;
+    const width = height > 0 ? cells[0].length : 0;
+    const result = [];
+
+    for (let r = 0; r < width; r++) {
+        const row = [];
+        for (let c = 0; c < height; c++) {
+            row.push(clockwise ? cells[height - 1 - c][r] : cells[c][width - 1 - r]);
+        }
+        result.push(row);
+    }
+    return result;
+}
+
+/**
+ * Rotate a half turn
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function rotate180(cells) {
+    return cells.slice().reverse().map((row) => row.slice().reverse());
+}
+
+/**
+ * Shift the design by a number of cells
+ * Cells pushed off one edge reappear on the other when wrap is on,
+ * otherwise they are dropped and the vacated cells become empty.
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {number} dRow - Rows to move down (negative moves up)
+ * @param {number} dCol - Columns to move right (negative moves left)
+ * @param {boolean} wrap - Wrap around the edges
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function shiftCells(cells, dRow, dCol, wrap = false) {
+    const height = cells.length;
+    const width = height > 0 ? cells[0].length : 0;
+    const result = [];
+
+    for (let r = 0; r < height; r++) {
+        const row = [];
+        for (let c = 0; c < width; c++) {
+            let sr = r - dRow;
+            let sc = c - dCol;
+            if (wrap) {
+                sr = ((sr % height) + height) % height;
+                sc = ((sc % width) + width) % width;
+            }
+            const inside = sr >= 0 && sc >= 0 && sr < height && sc < width;
+            row.push(inside ? cells[sr][sc] : null);
+        }
+        result.push(row);
+    }
+    return result;
+}
+
+/**
+ * Find the bounding box of all non-empty cells
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @returns {Object|null} {row, col, width, height} or null if empty
+ */
+export function getContentBounds(cells) {
+    let top = Infinity, left = Infinity, bottom = -1, right = -1;
+
+    cells.forEach((row, r) => {
+        row.forEach((color, c) => {
+            if (!color) return;
+            top = Math.min(top, r);
+            left = Math.min(left, c);
+            bottom = Math.max(bottom, r);
+            right = Math.max(right, c);
+        });
+    });
+
+    if (bottom < 0) return null;
+    return { row: top, col: left, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Trim empty border rows and columns
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @returns {Array<Array<string|null>>} New 2D color array (unchanged copy if empty)
+ */
+export function cropToContent(cells) {
+    const bounds = getContentBounds(cells);
+    if (!bounds) return cells.map((row) => row.slice());
+    return extractRegion(cells, bounds);
+}
+
+/**
+ * Run a named transform on a 2D color array
+ * @param {string} name - Transform name
+ * @param {Array<Array<string|null>>} cells - 2D color array
+ * @param {Object} options - {amount, wrap} for shifts
+ * @returns {Array<Array<string|null>>} New 2D color array
+ */
+export function transformCells(name, cells, options = {}) {
+    const { amount = 1, wrap = false } = options;
+
+    switch (name) {
+        case 'flipHorizontal': return flipHorizontal(cells);
+        case 'flipVertical': return flipVertical(cells);
+        case 'rotateClockwise': return rotate90(cells, true);
+        case 'rotateCounterClockwise': return rotate90(cells, false);
+        case 'rotate180': return rotate180(cells);
+        case 'shiftUp': return shiftCells(cells, -amount, 0, wrap);
+        case 'shiftDown': return shiftCells(cells, amount, 0, wrap);
+        case 'shiftLeft': return shiftCells(cells, 0, -amount, wrap);
+        case 'shiftRight': return shiftCells(cells, 0, amount, wrap);
+        case 'crop': return cropToContent(cells);
+        default: return cells;
+    }
+}
+
+// ============================================
+// APPLYING TO THE DESIGN
+// ============================================
+
+const TRANSFORM_LABELS = {
+    flipHorizontal: 'Flip horizontal',
+    flipVertical: 'Flip vertical',
+    rotateClockwise: 'Rotate 90° clockwise',
+    rotateCounterClockwise: 'Rotate 90° counter-clockwise',
+    rotate180: 'Rotate 180°',
+    shiftUp: 'Shift up',
+    shiftDown: 'Shift down',
+    shiftLeft: 'Shift left',
+    shiftRight: 'Shift right',
+    crop: 'Crop to content',
+};
+
+/**
+ * Apply a transform to the floating selection, the selection, or the grid
+ * @param {string} name - Transform name (see TRANSFORM_LABELS)
+ * @param {Object} options - {amount, wrap} for shifts
+ */
+export function applyTransform(name, options = {}) {
+    if (!TRANSFORM_LABELS[name]) return;
+
+    if (state.floatingSelection) {
+        // Floating cells are not part of the design until stamped
+        const floating = state.floatingSelection;
+        floating.cells = transformCells(name, floating.cells, options);
+        floating.height = floating.cells.length;
+        floating.width = floating.height > 0 ? floating.cells[0].length : 0;
+    } else if (state.selection) {
+        if (name === 'crop') {
+            cropGridToSelection();
+        } else {
+            if (!canEditActiveLayer()) return;
+            recordChange(`${TRANSFORM_LABELS[name]} (selection)`, () => transformSelection(name, options));
+        }
+    } else if (name === 'crop') {
+        // One rectangle for every layer, hidden ones included, so the layers stay lined up
+        const bounds = getContentBounds(flattenLayers(state.layers.map((layer) => ({ ...layer, visible: true }))));
+        if (!bounds) {
+            showNotification('Nothing to crop – the grid is empty.', 'info');
+            return;
+        }
+        cropLayers(TRANSFORM_LABELS[name], bounds);
+    } else {
+        recordChange(TRANSFORM_LABELS[name], () => {
+            mapLayers((cells) => transformCells(name, cells, options));
+        });
+    }
+
+    syncGridSizeInputs();
+    renderGrid();
+    updateExport();
+}
+
+/**
+ * Transform the selected region of the active layer in place
+ * Rotated regions keep their top-left corner; cells past the grid edge are clipped.
+ * @param {string} name - Transform name
+ * @param {Object} options - {amount, wrap}
+ */
+function transformSelection(name, options) {
+    const rect = state.selection;
+    let result = [];
+
+    updateActiveLayer((grid) => {
+        result = transformCells(name, extractRegion(grid, rect), options);
+
+        for (let r = rect.row; r < rect.row + rect.height; r++) {
+            for (let c = rect.col; c < rect.col + rect.width; c++) {
+                grid[r][c] = null;
+            }
+        }
+
+        result.forEach((row, r) => {
+            row.forEach((color, c) => {
+                const gr = rect.row + r;
+                const gc = rect.col + c;
+                if (gr < state.gridHeight && gc < state.gridWidth) {
+                    grid[gr][gc] = color;
+                }
+            });
+        });
+    });
+
+    setSelection({ row: rect.row, col: rect.col, width: result[0]?.length || 0, height: result.length });
+}
+
+/**
+ * Crop the whole grid to the selected rectangle
+ */
+function cropGridToSelection() {
+    cropLayers('Crop to selection', state.selection);
+}
+
+/**
+ * Crop every layer to a rectangle, grown to MIN_GRID_SIZE if it is smaller
+ * The rectangle grows evenly around the content and stays inside the grid.
+ * @param {string} label - History label
+ * @param {Object} rect - {row, col, width, height}
+ */
+function cropLayers(label, rect) {
+    const [row, height] = growSpan(rect.row, rect.height, state.gridHeight);
+    const [col, width] = growSpan(rect.col, rect.width, state.gridWidth);
+    const bounds = { row, col, width, height };
+
+    recordChange(label, () => {
+        mapLayers((cells) => extractRegion(cells, bounds));
+        state.selection = null;
+    });
+    if (width !== rect.width || height !== rect.height) {
+        showNotification(`Cropped to ${width}×${height}; grids are at least ${MIN_GRID_SIZE} cells on each side.`, 'info');
+    }
+}
+
+// Widen [start, start + length) to MIN_GRID_SIZE without leaving [0, limit)
+function growSpan(start, length, limit) {
+    const size = Math.min(limit, Math.max(length, MIN_GRID_SIZE));
+    const from = Math.max(0, Math.min(start - Math.floor((size - length) / 2), limit - size));
+    return [from, size];
+}
@@ -0,0 +1,332 @@
+/**
+ * @file viewport.js
+ * @description Zoom, pan, fit-to-view and minimap for the grid editor
+ * The grid sits in a scrollable viewport. Zooming changes state.zoom and
+ * re-renders the canvas at the new cell size; panning scrolls the viewport.
+ */
+
+import { state } from './state.js';
+import { renderGrid, cancelActiveStroke } from './grid.js';
+import { getBaseCellSize, getCellPitch, getGridOrigin, onGridDraw } from './gridRenderer.js';
+import { onNextFrame } from '../utils/canvas.js';
+
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.25;
+const MINIMAP_SIZE = 120;
+
+// Active pan or pinch gesture
+let gesture = null;
+// Pointers currently down on the viewport, by pointerId
+const activePointers = new Map();
+let spaceHeld = false;
+const scheduleMinimap = onNextFrame(renderMinimap);
+
+/**
+ * Attach zoom/pan listeners and wire the view buttons
+ */
+export function initViewport() {
+    const viewport = document.getElementById('gridViewport');
+    if (!viewport) return;
+
+    document.getElementById('zoomInBtn')?.addEventListener('click', zoomIn);
+    document.getElementById('zoomOutBtn')?.addEventListener('click', zoomOut);
+    document.getElementById('fitViewBtn')?.addEventListener('click', fitToView);
+
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    viewport.addEventListener('scroll', scheduleMinimap);
+    // Capture phase so gestures can take pointers away from the paint tools
+    viewport.addEventListener('pointerdown', handlePointerDown, true);
+    viewport.addEventListener('pointermove', handlePointerMove, true);
+    viewport.addEventListener('pointerup', handlePointerUp, true);
+    viewport.addEventListener('pointercancel', handlePointerUp, true);
+
+    document.addEventListener('keydown', handleViewKeyDown);
+    document.addEventListener('keyup', (e) => {
+        if (e.code === 'Space') setSpaceHeld(false);
+    });
+    window.addEventListener('blur', () => setSpaceHeld(false));
+    window.addEventListener('resize', scheduleMinimap);
+
+    initMinimap();
+    onGridDraw(scheduleMinimap);
+    updateZoomLabel();
+}
+
+/**
+ * Set the zoom factor, keeping the point under (clientX, clientY) in place
+ * @param {number} zoom - Zoom factor, clamped to MIN_ZOOM..MAX_ZOOM
+ * @param {number} [clientX] - Anchor point; defaults to the viewport center
+ * @param {number} [clientY]
+ */
+export function setZoom(zoom, clientX, clientY) {
+    const viewport = document.getElementById('gridViewport');
+    const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    if (!viewport || next === state.zoom) return;
+
+    const rect = viewport.getBoundingClientRect();
+    const offsetX = (clientX ?? rect.left + viewport.clientWidth / 2) - rect.left;
+    const offsetY = (clientY ?? rect.top + viewport.clientHeight / 2) - rect.top;
+    const contentX = viewport.scrollLeft + offsetX;
+    const contentY = viewport.scrollTop + offsetY;
+    const oldPitch = getCellPitch();
+
+    state.zoom = next;
+    renderGrid();
+
+    const scale = getCellPitch() / oldPitch;
+    viewport.scrollLeft = contentX * scale - offsetX;
+    viewport.scrollTop = contentY * scale - offsetY;
+    updateZoomLabel();
+}
+
+/**
+ * Zoom in one step around the viewport center
+ */
+export function zoomIn() {
+    setZoom(state.zoom * ZOOM_STEP);
+}
+
+/**
+ * Zoom out one step around the viewport center
+ */
+export function zoomOut() {
+    setZoom(state.zoom / ZOOM_STEP);
+}
+
+/**
+ * Zoom so the whole grid fits inside the viewport
+ */
+export function fitToView() {
+    const viewport = document.getElementById('gridViewport');
+    const container = document.getElementById('gridContainer');
+    if (!viewport || !container || state.gridWidth === 0 || state.gridHeight === 0) return;
+
+    // Container padding and border surround the canvas
+    const chrome = container.offsetWidth - container.clientWidth
+        + parseFloat(getComputedStyle(container).paddingLeft) * 2;
+    // The label gutter scales a little with zoom; reserving it at full size is close enough
+    const origin = getGridOrigin();
+    const availableWidth = viewport.clientWidth - chrome - origin.x;
+    const availableHeight = viewport.clientHeight - chrome - origin.y;
+
+    // Each cell takes its size plus a 1px grid line, with one extra line at the edge
+    const fitCell = Math.floor(Math.min(
+        (availableWidth - 1) / state.gridWidth - 1,
+        (availableHeight - 1) / state.gridHeight - 1,
+    ));
+    const zoom = Math.max(2, fitCell) / getBaseCellSize();
+
+    state.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    renderGrid();
+    viewport.scrollLeft = 0;
+    viewport.scrollTop = 0;
+    updateZoomLabel();
+}
+
+// ============================================
+// INPUT HANDLERS
+// ============================================
+
+function handleWheel(e) {
+    // Plain wheel scrolls; Ctrl/⌘+wheel (and trackpad pinch, which reports ctrlKey) zooms
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    const factor = Math.exp(-e.deltaY * 0.01);
+    setZoom(state.zoom * factor, e.clientX, e.clientY);
+}
+
+function handlePointerDown(e) {
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (e.pointerType === 'touch' && activePointers.size === 2) {
+        // Second finger: stop painting and start pinch/two-finger pan
+        cancelActiveStroke();
+        startGesture('pinch');
+        e.stopPropagation();
+        return;
+    }
+
+    if (spaceHeld || e.button === 1) {
+        e.preventDefault();
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        startGesture('pan');
+    }
+}
+
+function handlePointerMove(e) {
+    if (!activePointers.has(e.pointerId)) return;
+    activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!gesture) return;
+
+    e.stopPropagation();
+    const viewport = document.getElementById('gridViewport');
+    const { center, distance } = measurePointers();
+
+    viewport.scrollLeft -= center.x - gesture.center.x;
+    viewport.scrollTop -= center.y - gesture.center.y;
+
+    if (gesture.type === 'pinch' && gesture.distance > 0 && distance > 0) {
+        setZoom(gesture.zoom * (distance / gesture.distance), center.x, center.y);
+    }
+    gesture.center = center;
+}
+
+function handlePointerUp(e) {
+    activePointers.delete(e.pointerId);
+    if (!gesture) return;
+
+    e.stopPropagation();
+    if (activePointers.size === 0) {
+        gesture = null;
+        document.getElementById('gridViewport')?.classList.remove('panning');
+    } else {
+        // One finger lifted: keep panning with the rest
+        startGesture(gesture.type === 'pinch' && activePointers.size < 2 ? 'pan' : gesture.type);
+    }
+}
+
+function startGesture(type) {
+    const { center, distance } = measurePointers();
+    gesture = { type, center, distance, zoom: state.zoom };
+    document.getElementById('gridViewport')?.classList.add('panning');
+}
+
+function measurePointers() {
+    const points = Array.from(activePointers.values());
+    const center = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    };
+    const distance = points.length >= 2
+        ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y)
+        : 0;
+    return { center, distance };
+}
+
+function handleViewKeyDown(e) {
+    if (isTypingTarget(e.target)) return;
+
+    // Space on a focused button should still press it
+    if (e.code === 'Space' && e.target?.tagName !== 'BUTTON') {
+        e.preventDefault();
+        setSpaceHeld(true);
+        return;
+    }
+    if (e.altKey) return;
+
+    if (e.key === '+' || e.key === '=') {
+        e.preventDefault();
+        zoomIn();
+    } else if (e.key === '-' || e.key === '_') {
+        e.preventDefault();
+        zoomOut();
+    } else if (e.key === '0') {
+        e.preventDefault();
+        fitToView();
+    }
+}
+
+function setSpaceHeld(held) {
+    spaceHeld = held;
+    document.getElementById('gridViewport')?.classList.toggle('pan-ready', held);
+}
+
+function isTypingTarget(target) {
+    if (!target) return false;
+    const tag = target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
+
+// ============================================
+// MINIMAP
+// ============================================
+
+function initMinimap() {
+    const minimap = document.getElementById('gridMinimap');
+    if (!minimap) return;
+
+    const jump = (e) => {
+        const viewport = document.getElementById('gridViewport');
+        const rect = minimap.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width;
+        const y = (e.clientY - rect.top) / rect.height;
+        viewport.scrollLeft = x * viewport.scrollWidth - viewport.clientWidth / 2;
+        viewport.scrollTop = y * viewport.scrollHeight - viewport.clientHeight / 2;
+    };
+
+    minimap.addEventListener('pointerdown', (e) => {
+        minimap.setPointerCapture?.(e.pointerId);
+        jump(e);
+    });
+    minimap.addEventListener('pointermove', (e) => {
+        if (e.buttons) jump(e);
+    });
+}
+
+/**
+ * Draw the minimap: the whole design plus a frame for the visible area
+ * Hidden while the whole grid fits in the viewport.
+ */
+export function renderMinimap() {
+    const viewport = document.getElementById('gridViewport');
+    const minimap = document.getElementById('gridMinimap');
+    if (!viewport || !minimap) return;
+
+    const overflowing = viewport.scrollWidth > viewport.clientWidth + 1
+        || viewport.scrollHeight > viewport.clientHeight + 1;
+    minimap.hidden = !overflowing;
+    if (!overflowing) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const scale = MINIMAP_SIZE / Math.max(viewport.scrollWidth, viewport.scrollHeight);
+    const width = Math.round(viewport.scrollWidth * scale);
+    const height = Math.round(viewport.scrollHeight * scale);
+
+    minimap.width = Math.round(width * ratio);
+    minimap.height = Math.round(height * ratio);
+    minimap.style.width = `${width}px`;
+    minimap.style.height = `${height}px`;
+
+    const ctx = minimap.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#f5f5f5';
+    ctx.fillRect(0, 0, width, height);
+
+    // Map grid cells through the canvas position inside the scrolled content
+    const canvas = document.querySelector('#gridContainer .grid-canvas');
+    if (canvas) {
+        const viewRect = viewport.getBoundingClientRect();
+        const canvasRect = canvas.getBoundingClientRect();
+        const origin = getGridOrigin();
+        const originX = (canvasRect.left - viewRect.left + viewport.scrollLeft + origin.x) * scale;
+        const originY = (canvasRect.top - viewRect.top + viewport.scrollTop + origin.y) * scale;
+        const cell = getCellPitch() * scale;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(originX, originY, cell * state.gridWidth, cell * state.gridHeight);
+        for (let row = 0; row < state.gridHeight; row++) {
+            for (let col = 0; col < state.gridWidth; col++) {
+                const color = state.gridData[row]?.[col];
+                if (!color) continue;
+                ctx.fillStyle = color;
+                ctx.fillRect(originX + col * cell, originY + row * cell, Math.ceil(cell), Math.ceil(cell));
+            }
+        }
+    }
+
+    ctx.strokeStyle = '#d46b8c';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(
+        viewport.scrollLeft * scale,
+        viewport.scrollTop * scale,
+        viewport.clientWidth * scale,
+        viewport.clientHeight * scale,
+    );
+}
+
+function updateZoomLabel() {
+    const label = document.getElementById('zoomLevel');
+    if (label) label.textContent = `${Math.round(state.zoom * 100)}%`;
+}
@@ -0,0 +1,208 @@
+/**
+ * @file wristPreview.js
+ * @description 3D wrist preview: wraps the design around a band and draws it
+ * with a small canvas 2D renderer (no WebGL or external assets)
+ * The band uses the Repeat Planner settings, so the design is shown repeated
+ * the way it will be knotted. The rows run around the band and its
+ * circumference is the total row count, so the ends meet where they are tied.
+ * Drag up/down to roll the band around the wrist, left/right to turn it.
+ */
+
+import { state } from './state.js';
+import { showNotification } from '../utils/notifications.js';
+import { onHistoryChange } from './history.js';
+import { getKnottedCells } from './braceletPreview.js';
+import { tileRows, onRepeatChange } from './repeat.js';
+import { shadeColor } from '../utils/colorUtils.js';
+import { downloadCanvas } from '../utils/canvas.js';
+
+const MAX_BAND_CELLS = 12000;    // Long bands are cut short to keep dragging smooth
+const PITCH = 0.3;               // Fixed downward view angle
+const LIGHT = normalize([-0.35, 0.55, 0.75]);
+const SPIN_SPEED = 0.01;         // Radians per frame when spinning
+const DRAG_SPEED = 0.01;         // Radians per pixel
+const SCREENSHOT_SIZE = 800;
+const BACKDROP_COLOR = '#fbf8f3';
+
+const view = { yaw: 0.6, roll: 0 };
+let spinning = false;
+let spinFrame = null;
+let renderFrame = null;
+
+/**
+ * Wire the wrist preview panel: drag to rotate, spin toggle and screenshot
+ */
+export function initWristPreview() {
+    const canvas = document.getElementById('wristPreviewCanvas');
+    if (!canvas) return;
+
+    let drag = null;
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture?.(e.pointerId);
+        drag = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        view.yaw += (e.clientX - drag.x) * DRAG_SPEED;
+        view.roll += (e.clientY - drag.y) * DRAG_SPEED;
+        drag = { x: e.clientX, y: e.clientY };
+        scheduleRender();
+    });
+    const endDrag = () => { drag = null; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    document.getElementById('wristSpinToggle')?.addEventListener('change', (e) => {
+        spinning = e.target.checked;
+        // Toggling off and on within one frame must not start a second loop
+        if (spinning && spinFrame === null) spin();
+        if (!spinning && spinFrame !== null) {
+            cancelAnimationFrame(spinFrame);
+            spinFrame = null;
+        }
+    });
+    document.getElementById('wristScreenshotBtn')?.addEventListener('click', downloadWristScreenshot);
+
+    onHistoryChange(scheduleRender);
+    onRepeatChange(scheduleRender);
+    renderWristPreview();
+}
+
+/**
+ * Draw the wrist preview in the side panel at its CSS size
+ */
+export function renderWristPreview() {
+    const canvas = document.getElementById('wristPreviewCanvas');
+    if (!canvas) return;
+
+    const width = canvas.clientWidth || 280;
+    const height = canvas.clientHeight || 240;
+    drawWrist(canvas, width, height, window.devicePixelRatio || 1);
+}
+
+/**
+ * Draw the band onto a canvas
+ * @param {HTMLCanvasElement} canvas - Target; resized to width × height
+ * @param {number} width - CSS pixels
+ * @param {number} height - CSS pixels
+ * @param {number} [ratio=1] - Device pixel ratio
+ * @returns {boolean} False when nothing is painted
+ */
+export function drawWrist(canvas, width, height, ratio = 1) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = BACKDROP_COLOR;
+    ctx.fillRect(0, 0, width, height);
+
+    const band = getBandCells();
+    if (!band) return false;
+
+    const rows = band.length;
+    const cols = band[0].length;
+    const radius = rows / (Math.PI * 2);
+    const bound = Math.hypot(cols / 2, radius);
+    const distance = bound * 4;
+    const scale = (Math.min(width, height) * 0.42) / bound;
+
+    // Project every corner of the band once
+    const vertices = [];
+    for (let r = 0; r <= rows; r++) {
+        const angle = (r / rows) * Math.PI * 2 + view.roll;
+        const line = [];
+        for (let c = 0; c <= cols; c++) {
+            const [x, y, z] = rotate([c - cols / 2, radius * Math.sin(angle), radius * Math.cos(angle)]);
+            const perspective = distance / (distance - z);
+            line.push({ x: width / 2 + x * scale * perspective, y: height / 2 - y * scale * perspective, z });
+        }
+        vertices.push(line);
+    }
+
+    const quads = [];
+    for (let r = 0; r < rows; r++) {
+        const angle = ((r + 0.5) / rows) * Math.PI * 2 + view.roll;
+        const normal = rotate([0, Math.sin(angle), Math.cos(angle)]);
+        const facing = normal[2] > 0;
+        const light = Math.max(0, dot(facing ? normal : normal.map((n) => -n), LIGHT));
+
+        for (let c = 0; c < cols; c++) {
+            const corners = [vertices[r][c], vertices[r][c + 1], vertices[r + 1][c + 1], vertices[r + 1][c]];
+            const color = band[r][c];
+            quads.push({
+                corners,
+                depth: corners.reduce((sum, v) => sum + v.z, 0) / 4,
+                // The inside of the band shows the back of the knots, in shadow
+                fill: facing ? shadeColor(color, (light - 0.6) * 0.6) : shadeColor(color, -0.45 - (1 - light) * 0.2),
+            });
+        }
+    }
+
+    // Painter's algorithm: far quads first
+    quads.sort((a, b) => a.depth - b.depth);
+    ctx.lineWidth = 0.6;
+    ctx.lineJoin = 'round';
+    quads.forEach(({ corners, fill }) => {
+        ctx.beginPath();
+        corners.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y)));
+        ctx.closePath();
+        ctx.fillStyle = fill;
+        ctx.strokeStyle = fill;
+        ctx.fill();
+        ctx.stroke();    // Closes the hairline seams between neighbouring quads
+    });
+    return true;
+}
+
+/**
+ * Download the current view as a PNG
+ */
+export function downloadWristScreenshot() {
+    const canvas = document.createElement('canvas');
+    if (!drawWrist(canvas, SCREENSHOT_SIZE, SCREENSHOT_SIZE)) {
+        showNotification('Paint some cells to take a screenshot.', 'info');
+        return;
+    }
+
+    downloadCanvas(canvas, 'bracelet-3d.png', 'Screenshot downloaded!');
+}
+
+// Repeated design as knotted, or null if nothing is painted
+function getBandCells() {
+    const { count, spacerRows, spacerColor, mirror } = state.repeat;
+    const maxRows = Math.max(state.gridHeight, Math.floor(MAX_BAND_CELLS / state.gridWidth));
+    return getKnottedCells(tileRows(state.gridData, { count, spacerRows, spacerColor, mirror }).slice(0, maxRows));
+}
+
+function spin() {
+    spinFrame = null;
+    if (!spinning || typeof requestAnimationFrame === 'undefined') return;
+    view.roll += SPIN_SPEED;
+    renderWristPreview();
+    spinFrame = requestAnimationFrame(spin);
+}
+
+function scheduleRender() {
+    if (spinning || renderFrame !== null || typeof requestAnimationFrame === 'undefined') return;
+    renderFrame = requestAnimationFrame(() => {
+        renderFrame = null;
+        renderWristPreview();
+    });
+}
+
+// Turn (yaw about the vertical axis), then tilt toward the viewer
+function rotate([x, y, z]) {
+    const x1 = x * Math.cos(view.yaw) + z * Math.sin(view.yaw);
+    const z1 = -x * Math.sin(view.yaw) + z * Math.cos(view.yaw);
+    return [x1, y * Math.cos(PITCH) - z1 * Math.sin(PITCH), y * Math.sin(PITCH) + z1 * Math.cos(PITCH)];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function normalize(v) {
+    const length = Math.hypot(...v);
+    return v.map((n) => n / length);
+}
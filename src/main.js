@@ -10,7 +10,7 @@
 
 import { state } from './core/state.js';
 import { initPalette, renderPalette, addColor } from './core/palette.js';
-import { initGrid, renderGrid, handleResizeGrid } from './core/grid.js';
+import { initGrid, renderGrid, initGridInteractions, initResizeControls, handleResizeGrid } from './core/grid.js';
 import { updateExport, copyToClipboard, downloadTextFile } from './core/export.js';
 import { saveDesign, loadDesign, promptLoadDesign, handleClearDesign, loadRecentSessions } from './core/storage.js';
 import { initTemplateLibrary } from './core/templates.js';
@@ -18,12 +18,30 @@ import { initInspirationGallery } from './core/inspiration.js';
 import { initColorHarmonizer } from './core/harmonizer.js';
 import { initKeywordHelper } from './core/keywords.js';
 import { initDifficultyEstimator } from './core/difficulty.js';
+import { initThreadCalculator } from './core/threadCalculator.js';
 import { initPrintSheet } from './core/print.js';
 import { initImageWorker, initImageImportListeners } from './core/imageImporter.js';
+import { initTransformControls } from './core/transform.js';
+import { initViewport } from './core/viewport.js';
+import { initGuideControls } from './core/guides.js';
+import { initColorTools } from './core/colorTools.js';
+import { initTextTool } from './core/textTool.js';
+import { initRepeatPlanner } from './core/repeat.js';
+import { initBraceletPreview } from './core/braceletPreview.js';
+import { initBeadPattern } from './core/beadPattern.js';
+import { initFuseBeads } from './core/fuseBeads.js';
+import { initFlossTools } from './core/floss.js';
+import { initThreadInventory } from './core/inventory.js';
+import { initWristPreview } from './core/wristPreview.js';
+import { initNormalPattern, setPatternMode } from './core/normalPattern.js';
 // Removed welcome screen imports
 // import { initWelcomeScreen, handleStartFromTemplate, handleStartFromPhoto, handleStartFromBlank } from './ui/welcome.js';
 import { initMobileActionBar } from './ui/mobileBar.js';
 import { initModals } from './ui/modals.js';
+import { initEditorToolbar } from './ui/toolbar.js';
+import { initLayersPanel } from './ui/layersPanel.js';
+import { initNormalEditor } from './ui/normalEditor.js';
+import { initMakeMode } from './ui/makeMode.js';
 import { showNotification } from './utils/notifications.js';
 
 // ============================================
@@ -87,6 +105,8 @@ export function initApp() {
     } else {
         initPalette();
         initGrid();
+        initNormalPattern();
+        setPatternMode('alpha');
     }
 
     // Render UI
@@ -107,11 +127,14 @@ export function initApp() {
     initColorHarmonizer();
     initKeywordHelper();
     initDifficultyEstimator();
+    initThreadCalculator();
     initPrintSheet();
     initImageImportListeners();
+    initTransformControls();
     // Directly initialize editor (no welcome screen)
     initMobileActionBar();
     initModals();
+    initEditorToolbar();
 
     // Load recent sessions
     loadRecentSessions();
@@ -127,11 +150,28 @@ function initEventListeners() {
     document.getElementById('addColorBtn')?.addEventListener('click', addColor);
 
     // Grid
+    initGridInteractions();
+    initViewport();
+    initGuideControls();
+    initColorTools();
+    initTextTool();
+    initLayersPanel();
+    initRepeatPlanner();
+    initBraceletPreview();
+    initBeadPattern();
+    initFuseBeads();
+    initFlossTools();
+    initThreadInventory();
+    initWristPreview();
+    initMakeMode();
+    initNormalEditor();
     document.getElementById('resizeGridBtn')?.addEventListener('click', handleResizeGrid);
+    initResizeControls();
 
     // Export
     document.getElementById('copyPatternBtn')?.addEventListener('click', () => copyToClipboard('patternOutput'));
     document.getElementById('copyLegendBtn')?.addEventListener('click', () => copyToClipboard('legendOutput'));
+    document.getElementById('copyInstructionsBtn')?.addEventListener('click', () => copyToClipboard('instructionsOutput'));
     document.getElementById('downloadBtn')?.addEventListener('click', downloadTextFile);
 
     // Save/Load
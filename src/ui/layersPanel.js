@@ -0,0 +1,139 @@
+/**
+ * @file ui/layersPanel.js
+ * @description Layers panel: pick the active layer, show/hide, lock, reorder,
+ * merge down and set the preview opacity
+ */
+
+import { state } from '../core/state.js';
+import { recordChange, onHistoryChange } from '../core/history.js';
+import { renderGrid } from '../core/grid.js';
+import { updateExport } from '../core/export.js';
+import { showNotification } from '../utils/notifications.js';
+import {
+    getLayer,
+    setActiveLayer,
+    setLayerVisibility,
+    setLayerLocked,
+    setLayerOpacity,
+    moveLayer,
+    mergeLayerDown,
+    countLayerCells,
+} from '../core/layers.js';
+
+/**
+ * Wire the layers panel and keep it in step with history
+ */
+export function initLayersPanel() {
+    const list = document.getElementById('layersList');
+    if (!list) return;
+
+    list.addEventListener('click', handleLayerClick);
+    list.addEventListener('input', (e) => {
+        if (!e.target.matches('.layer-opacity')) return;
+        setLayerOpacity(e.target.dataset.layer, Number(e.target.value) / 100);
+        renderGrid();
+    });
+
+    // Undo, redo and loads can change any layer
+    onHistoryChange(() => renderLayersPanel());
+    renderLayersPanel();
+}
+
+/**
+ * Render the layer list, top layer first
+ */
+export function renderLayersPanel() {
+    const list = document.getElementById('layersList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    state.layers.slice().reverse().forEach((layer, i) => {
+        const index = state.layers.length - 1 - i;
+        const item = document.createElement('div');
+        item.className = 'layer-item';
+        item.dataset.layer = layer.id;
+        if (layer.id === state.activeLayerId) item.classList.add('active');
+        if (!layer.visible) item.classList.add('hidden-layer');
+
+        item.innerHTML = `
+            <button class="layer-icon-btn" data-action="visibility" data-layer="${layer.id}"
+                title="${layer.visible ? 'Hide' : 'Show'} layer" aria-label="${layer.visible ? 'Hide' : 'Show'} ${layer.name} layer"
+                aria-pressed="${layer.visible}">${layer.visible ? '👁' : '–'}</button>
+            <button class="layer-icon-btn" data-action="lock" data-layer="${layer.id}"
+                title="${layer.locked ? 'Unlock' : 'Lock'} layer" aria-label="${layer.locked ? 'Unlock' : 'Lock'} ${layer.name} layer"
+                aria-pressed="${layer.locked}">${layer.locked ? '🔒' : '🔓'}</button>
+            <div class="layer-info">
+                <div class="layer-name">${layer.name}</div>
+                <div class="layer-count">${countLayerCells(layer)} cells</div>
+            </div>
+            <input type="range" class="layer-opacity" data-layer="${layer.id}" min="10" max="100" step="10"
+                value="${Math.round(layer.opacity * 100)}" title="Preview opacity" aria-label="${layer.name} layer preview opacity">
+            <div class="layer-actions">
+                <button class="layer-icon-btn" data-action="up" data-layer="${layer.id}" title="Move up" aria-label="Move ${layer.name} layer up"
+                    ${index === state.layers.length - 1 ? 'disabled' : ''}>▲</button>
+                <button class="layer-icon-btn" data-action="down" data-layer="${layer.id}" title="Move down" aria-label="Move ${layer.name} layer down"
+                    ${index === 0 ? 'disabled' : ''}>▼</button>
+                <button class="layer-icon-btn" data-action="merge" data-layer="${layer.id}" title="Merge into the layer below" aria-label="Merge ${layer.name} layer down"
+                    ${index === 0 ? 'disabled' : ''}>⤓</button>
+            </div>
+        `;
+        list.appendChild(item);
+    });
+}
+
+function handleLayerClick(e) {
+    const item = e.target.closest('.layer-item');
+    if (!item || e.target.matches('.layer-opacity')) return;
+
+    const layer = getLayer(item.dataset.layer);
+    const button = e.target.closest('[data-action]');
+    if (!layer) return;
+
+    if (!button) {
+        setActiveLayer(layer.id);
+        renderLayersPanel();
+        return;
+    }
+
+    switch (button.dataset.action) {
+        case 'visibility':
+            changeLayers(`${layer.visible ? 'Hide' : 'Show'} ${layer.name} layer`, () => setLayerVisibility(layer.id, !layer.visible));
+            break;
+        case 'lock':
+            setLayerLocked(layer.id, !layer.locked);
+            renderLayersPanel();
+            break;
+        case 'up':
+            changeLayers(`Move ${layer.name} layer up`, () => moveLayer(layer.id, 1));
+            break;
+        case 'down':
+            changeLayers(`Move ${layer.name} layer down`, () => moveLayer(layer.id, -1));
+            break;
+        case 'merge':
+            handleMergeDown(layer);
+            break;
+    }
+}
+
+function handleMergeDown(layer) {
+    const index = state.layers.indexOf(layer);
+    const lower = state.layers[index - 1];
+    if (!lower) return;
+    if (layer.locked || lower.locked) {
+        showNotification('Unlock both layers before merging.', 'warning');
+        return;
+    }
+    if (countLayerCells(layer) === 0) {
+        showNotification(`The ${layer.name} layer is empty – nothing to merge.`, 'info');
+        return;
+    }
+
+    changeLayers(`Merge ${layer.name} into ${lower.name}`, () => mergeLayerDown(layer.id));
+    showNotification(`Merged ${layer.name} into ${lower.name}.`, 'success', 1500);
+}
+
+function changeLayers(label, mutate) {
+    recordChange(label, mutate);
+    renderGrid();
+    updateExport();
+}
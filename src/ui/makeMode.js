@@ -0,0 +1,260 @@
+/**
+ * @file ui/makeMode.js
+ * @description Make mode: knot the design one row at a time
+ * Shows the current row large with its knotting instructions, keeps a timer
+ * and a list of finished rows, and saves progress per design so it resumes
+ * where you left off. Progress is keyed by the grid contents, so editing the
+ * design starts a fresh tracker.
+ */
+
+import { state } from '../core/state.js';
+import { generateColorMapping, generateKnotInstructions, describeKnotRow } from '../core/export.js';
+import { getMakeProgress, saveMakeProgress } from '../core/storage.js';
+import { setCurrentRow } from '../core/guides.js';
+import { showNotification } from '../utils/notifications.js';
+import { getContrastColor } from '../utils/colorUtils.js';
+
+// Form controls and buttons inside the Make mode dialog
+const MAKE_CONTROLS = '#makeModeModal :is(input, button, select, textarea)';
+
+let session = null;
+
+/**
+ * Wire the Make mode button, dialog controls and keyboard
+ */
+export function initMakeMode() {
+    document.getElementById('makeModeBtn')?.addEventListener('click', openMakeMode);
+    document.getElementById('closeMakeMode')?.addEventListener('click', closeMakeMode);
+    document.getElementById('makeModeModal')?.addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeMakeMode();
+    });
+    document.getElementById('makePrevBtn')?.addEventListener('click', () => goToMakeRow(session.row - 1));
+    document.getElementById('makeNextBtn')?.addEventListener('click', advanceMakeRow);
+    document.getElementById('makeRow')?.addEventListener('click', advanceMakeRow);
+    document.getElementById('makeTimerBtn')?.addEventListener('click', toggleMakeTimer);
+    document.getElementById('makeDoneToggle')?.addEventListener('change', (e) => setRowDone(session.row, e.target.checked));
+    document.getElementById('makeRowList')?.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-row]');
+        if (chip) goToMakeRow(Number(chip.dataset.row));
+    });
+
+    // Capture phase, so editor shortcuts do not fire underneath the dialog
+    window.addEventListener('keydown', handleMakeKey, true);
+    window.addEventListener('pagehide', () => saveSession());
+}
+
+/**
+ * Fingerprint of the grid contents, used to find saved progress
+ * @returns {string}
+ */
+export function getDesignKey() {
+    const text = `${state.gridWidth}x${state.gridHeight}:` + state.gridData
+        .map((row) => row.map((color) => color || '.').join(','))
+        .join('|');
+    // djb2 string hash
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${state.gridWidth}x${state.gridHeight}-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Open Make mode, resuming saved progress for this design
+ */
+export function openMakeMode() {
+    const instructions = generateKnotInstructions();
+    if (!instructions.background) {
+        showNotification('Paint some cells before making the bracelet.', 'info');
+        return;
+    }
+
+    const key = getDesignKey();
+    const saved = getMakeProgress(key);
+    session = {
+        key,
+        instructions,
+        row: saved ? Math.min(saved.row, state.gridHeight - 1) : 0,
+        done: new Set(saved ? saved.done.filter((row) => row < state.gridHeight) : []),
+        elapsedMs: saved ? saved.elapsedMs : 0,
+        runningSince: Date.now(),
+        ticker: setInterval(renderTimer, 1000),
+    };
+
+    document.getElementById('makeModeModal')?.classList.add('active');
+    if (saved) showNotification(`Resuming at row ${session.row + 1}.`, 'info', 1500);
+    goToMakeRow(session.row);
+}
+
+/**
+ * Save progress and close Make mode
+ * The row stays highlighted on the grid.
+ */
+export function closeMakeMode() {
+    if (!session) return;
+    saveSession();
+    clearInterval(session.ticker);
+    session = null;
+    document.getElementById('makeModeModal')?.classList.remove('active');
+}
+
+/**
+ * Show a row and save progress
+ * @param {number} row - 0-based row, clamped to the grid
+ */
+export function goToMakeRow(row) {
+    if (!session) return;
+    session.row = Math.max(0, Math.min(state.gridHeight - 1, row));
+    setCurrentRow(session.row);
+    renderMakeMode();
+    saveSession();
+}
+
+function advanceMakeRow() {
+    if (!session) return;
+    session.done.add(session.row);
+    if (session.row === state.gridHeight - 1) {
+        renderMakeMode();
+        saveSession();
+        showNotification(session.done.size === state.gridHeight ? 'All rows done – time to tie off!' : 'Last row done.', 'success');
+        return;
+    }
+    goToMakeRow(session.row + 1);
+}
+
+function setRowDone(row, done) {
+    if (!session) return;
+    if (done) {
+        session.done.add(row);
+    } else {
+        session.done.delete(row);
+    }
+    renderMakeMode();
+    saveSession();
+}
+
+function toggleMakeTimer() {
+    if (!session) return;
+    if (session.runningSince) {
+        session.elapsedMs += Date.now() - session.runningSince;
+        session.runningSince = null;
+    } else {
+        session.runningSince = Date.now();
+    }
+    renderTimer();
+    saveSession();
+}
+
+function saveSession() {
+    if (!session) return;
+    saveMakeProgress(session.key, {
+        row: session.row,
+        done: [...session.done].sort((a, b) => a - b),
+        elapsedMs: getElapsed(),
+    });
+}
+
+function getElapsed() {
+    return session.elapsedMs + (session.runningSince ? Date.now() - session.runningSince : 0);
+}
+
+function renderMakeMode() {
+    const { row, done, instructions } = session;
+    const { colorMap } = generateColorMapping();
+    const background = instructions.background;
+    const instructionRow = instructions.rows[row];
+    const total = state.gridHeight;
+
+    const label = document.getElementById('makeRowLabel');
+    if (label) label.textContent = `Row ${row + 1} of ${total} ${instructionRow.direction === 'right' ? '→' : '←'}`;
+
+    const rowEl = document.getElementById('makeRow');
+    if (rowEl) {
+        rowEl.style.gridTemplateColumns = `repeat(${state.gridWidth}, minmax(0, 48px))`;
+        rowEl.classList.toggle('done', done.has(row));
+        rowEl.innerHTML = state.gridData[row].map((cell) => {
+            const color = cell || background.color;
+            return `<div class="make-cell" style="background-color: ${color}; color: ${getContrastColor(color)};">${colorMap[color]}</div>`;
+        }).join('');
+    }
+
+    const instruction = document.getElementById('makeInstruction');
+    if (instruction) {
+        instruction.textContent = `${instructionRow.direction === 'right' ? 'Left to right, forward knots' : 'Right to left, backward knots'}: ${describeKnotRow(instructionRow, background)}`;
+    }
+
+    const next = document.getElementById('makeNextRow');
+    if (next) {
+        next.textContent = row < total - 1
+            ? `Next: ${describeKnotRow(instructions.rows[row + 1], background)}`
+            : 'This is the last row.';
+    }
+
+    const doneToggle = document.getElementById('makeDoneToggle');
+    if (doneToggle) doneToggle.checked = done.has(row);
+
+    const percent = Math.round((done.size / total) * 100);
+    const bar = document.getElementById('makeProgressBar');
+    if (bar) bar.style.width = `${percent}%`;
+    const progressText = document.getElementById('makeProgressText');
+    if (progressText) progressText.textContent = `${done.size} of ${total} rows done (${percent}%)`;
+
+    const list = document.getElementById('makeRowList');
+    if (list) {
+        list.innerHTML = Array.from({ length: total }, (_, r) => `
+            <button class="make-row-chip${done.has(r) ? ' done' : ''}${r === row ? ' current' : ''}" data-row="${r}"
+                aria-label="Row ${r + 1}${done.has(r) ? ', done' : ''}">${r + 1}</button>
+        `).join('');
+    }
+
+    const prev = document.getElementById('makePrevBtn');
+    if (prev) prev.disabled = row === 0;
+    renderTimer();
+}
+
+function renderTimer() {
+    if (!session) return;
+    const seconds = Math.floor(getElapsed() / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+
+    const timer = document.getElementById('makeTimer');
+    if (timer) timer.textContent = h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    const btn = document.getElementById('makeTimerBtn');
+    if (btn) btn.textContent = session.runningSince ? 'Pause' : 'Resume';
+}
+
+function handleMakeKey(e) {
+    if (!session || e.key === 'Tab') return;
+    // Every other key stops here, so editor shortcuts (undo, tools) cannot change the design underneath
+    e.stopPropagation();
+    // Space and Enter on the dialog's own controls keep their native action (tick, press)
+    if ((e.key === ' ' || e.key === 'Enter') && e.target.closest?.(MAKE_CONTROLS)) return;
+
+    switch (e.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+        case ' ':
+        case 'Enter':
+            advanceMakeRow();
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+        case 'Backspace':
+            goToMakeRow(session.row - 1);
+            break;
+        case 'd':
+        case 'D':
+            setRowDone(session.row, !session.done.has(session.row));
+            break;
+        case 'Escape':
+            closeMakeMode();
+            break;
+        default:
+            // Browser shortcuts such as reload and zoom keep working; undo/redo do nothing
+            if ((e.ctrlKey || e.metaKey) && /^[zy]$/i.test(e.key)) e.preventDefault();
+            return;
+    }
+    e.preventDefault();
+}
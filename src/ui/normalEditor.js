@@ -0,0 +1,199 @@
+/**
+ * @file ui/normalEditor.js
+ * @description Normal pattern editor: mode switch, knot chart and bracelet preview
+ * Click a string at the top of the chart to give it the selected palette
+ * color. Click a knot to step through f → b → fb → bf; right-click or
+ * Shift+click steps backwards.
+ */
+
+import { state } from '../core/state.js';
+import { onHistoryChange } from '../core/history.js';
+import { showNotification } from '../utils/notifications.js';
+import { getContrastColor } from '../utils/colorUtils.js';
+import {
+    KNOT_SYMBOLS,
+    KNOT_NAMES,
+    computeNormalKnots,
+    isSeamless,
+    nextKnotType,
+    setPatternMode,
+    setNormalKnot,
+    setNormalStringColor,
+    resizeNormal,
+} from '../core/normalPattern.js';
+
+const PREVIEW_REPEATS = 2;
+const PREVIEW_MAX_HALF = 12;
+const PREVIEW_WIDTH = 320;
+
+/**
+ * Wire the mode switch, knot chart and normal pattern panel
+ */
+export function initNormalEditor() {
+    document.getElementById('alphaModeBtn')?.addEventListener('click', () => switchPatternMode('alpha'));
+    document.getElementById('normalModeBtn')?.addEventListener('click', () => switchPatternMode('normal'));
+
+    const chart = document.getElementById('normalChart');
+    chart?.addEventListener('click', (e) => handleChartClick(e, e.shiftKey ? -1 : 1));
+    chart?.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        handleChartClick(e, -1);
+    });
+
+    const resize = () => resizeNormal(
+        document.getElementById('normalStringsInput')?.value,
+        document.getElementById('normalRowsInput')?.value
+    );
+    document.getElementById('normalStringsInput')?.addEventListener('change', resize);
+    document.getElementById('normalRowsInput')?.addEventListener('change', resize);
+
+    // Undo, redo and loads can change the chart or the mode
+    onHistoryChange(() => {
+        applyPatternMode();
+        renderNormalEditor();
+    });
+    applyPatternMode();
+    renderNormalEditor();
+}
+
+/**
+ * Switch pattern type and show the matching editor
+ * @param {string} mode - 'alpha' or 'normal'
+ */
+export function switchPatternMode(mode) {
+    setPatternMode(mode);
+    applyPatternMode();
+    renderNormalEditor();
+}
+
+/**
+ * Show the editor and panels for state.patternMode
+ * Elements marked data-mode-only="alpha" or "normal" are hidden in the other mode.
+ */
+export function applyPatternMode() {
+    document.body.dataset.patternMode = state.patternMode;
+    ['alpha', 'normal'].forEach((mode) => {
+        const btn = document.getElementById(`${mode}ModeBtn`);
+        if (!btn) return;
+        btn.classList.toggle('active', state.patternMode === mode);
+        btn.setAttribute('aria-pressed', String(state.patternMode === mode));
+    });
+}
+
+/**
+ * Render the knot chart, preview and status for the current pattern
+ */
+export function renderNormalEditor() {
+    if (state.patternMode !== 'normal') return;
+
+    const { rows, finalStrings } = computeNormalKnots(state.normal);
+    renderChart(rows, finalStrings);
+    renderPreview();
+
+    const stringsInput = document.getElementById('normalStringsInput');
+    const rowsInput = document.getElementById('normalRowsInput');
+    if (stringsInput) stringsInput.value = state.normal.strings.length;
+    if (rowsInput) rowsInput.value = state.normal.rows.length;
+
+    const status = document.getElementById('normalStatus');
+    if (status) {
+        const seamless = isSeamless(state.normal);
+        status.textContent = seamless
+            ? 'The strings end in the order they started, so the pattern repeats seamlessly.'
+            : 'The strings end in a different order than they started, so the next repeat will look different.';
+        status.classList.toggle('normal-status-warning', !seamless);
+    }
+}
+
+function renderChart(rows, finalStrings) {
+    const chart = document.getElementById('normalChart');
+    if (!chart) return;
+
+    const count = state.normal.strings.length;
+    chart.style.gridTemplateColumns = `repeat(${count}, var(--normal-half))`;
+
+    const chip = (color, i, gridRow, interactive) => `
+        <${interactive ? 'button' : 'span'} class="normal-string" ${interactive ? `data-string="${i}" title="String ${i + 1} – click to use the selected color" aria-label="String ${i + 1} color"` : 'aria-hidden="true"'}
+            style="grid-column: ${i + 1}; grid-row: ${gridRow}; background-color: ${color};"></${interactive ? 'button' : 'span'}>
+    `;
+
+    let html = state.normal.strings.map((color, i) => chip(color, i, 1, true)).join('');
+    rows.forEach((knots, r) => {
+        knots.forEach((knot, k) => {
+            html += `
+                <button class="normal-knot" data-row="${r}" data-knot="${k}"
+                    title="Row ${r + 1}: ${KNOT_NAMES[knot.type]} knot" aria-label="Row ${r + 1}, knot ${k + 1}: ${KNOT_NAMES[knot.type]}"
+                    style="grid-column: ${knot.left + 1} / span 2; grid-row: ${r + 2}; background-color: ${knot.color}; color: ${getContrastColor(knot.color)};">
+                    ${KNOT_SYMBOLS[knot.type]}
+                </button>
+            `;
+        });
+    });
+    html += finalStrings.map((color, i) => chip(color, i, rows.length + 2, false)).join('');
+    chart.innerHTML = html;
+}
+
+function renderPreview() {
+    const canvas = document.getElementById('normalPreviewCanvas');
+    if (!canvas) return;
+
+    const { rows, edges } = computeNormalKnots(state.normal, PREVIEW_REPEATS);
+    const count = state.normal.strings.length;
+    const half = Math.max(3, Math.min(PREVIEW_MAX_HALF, Math.floor(PREVIEW_WIDTH / count)));
+    const width = count * half;
+    const height = (rows.length + 1) * half;
+    const ratio = window.devicePixelRatio || 1;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    ctx.lineWidth = 1;
+
+    rows.forEach((knots, r) => {
+        const y = (r + 1) * half;
+
+        // Strings left out of this row show as triangles at the edges
+        const { left, right } = edges[r];
+        if (left) fillShape(ctx, left, [[0, y - half], [half, y], [0, y + half]]);
+        if (right) fillShape(ctx, right, [[width, y - half], [width - half, y], [width, y + half]]);
+
+        knots.forEach((knot) => {
+            const x = (knot.left + 1) * half;
+            fillShape(ctx, knot.color, [[x, y - half], [x + half, y], [x, y + half], [x - half, y]]);
+            ctx.stroke();
+        });
+    });
+}
+
+function fillShape(ctx, color, points) {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+}
+
+function handleChartClick(e, step) {
+    const string = e.target.closest('[data-string]');
+    if (string) {
+        if (!state.selectedColor) {
+            showNotification('Please add a color to the palette first.', 'warning');
+            return;
+        }
+        setNormalStringColor(Number(string.dataset.string), state.selectedColor.hex);
+        return;
+    }
+
+    const knot = e.target.closest('.normal-knot');
+    if (!knot) return;
+    const row = Number(knot.dataset.row);
+    const index = Number(knot.dataset.knot);
+    setNormalKnot(row, index, nextKnotType(state.normal.rows[row][index], step));
+}
@@ -0,0 +1,324 @@
+/**
+ * @file ui/toolbar.js
+ * @description Editor toolbar and keyboard shortcuts
+ */
+
+import { state } from '../core/state.js';
+import { undo, redo, canUndo, canRedo, setHistoryLimit, onHistoryChange } from '../core/history.js';
+import { renderPalette } from '../core/palette.js';
+import { renderGrid, renderSelectionOverlay, syncGridSizeInputs, syncGridBounds } from '../core/grid.js';
+import { clearGridPreview } from '../core/gridRenderer.js';
+import { updateExport } from '../core/export.js';
+import { setSymmetryMode, setSymmetryAxes } from '../core/symmetry.js';
+import {
+    copySelection,
+    cutSelection,
+    deleteSelection,
+    pasteClipboard,
+    stampFloatingSelection,
+    dropFloatingSelection,
+    cancelFloatingSelection,
+    clearSelection,
+    selectAll,
+} from '../core/selection.js';
+import { renderReplaceOptions } from '../core/colorTools.js';
+import { placeText } from '../core/textTool.js';
+import { showNotification } from '../utils/notifications.js';
+
+const HISTORY_LIMIT_KEY = 'braceyourself_history_limit';
+
+const TOOL_SHORTCUTS = {
+    p: 'paint',
+    s: 'select',
+    l: 'line',
+    r: 'rectangle',
+    e: 'ellipse',
+    f: 'fill',
+    i: 'eyedropper',
+    w: 'replace',
+    t: 'text',
+};
+
+/**
+ * Initialize editor toolbar buttons and shortcuts
+ */
+export function initEditorToolbar() {
+    document.getElementById('undoBtn')?.addEventListener('click', handleUndo);
+    document.getElementById('redoBtn')?.addEventListener('click', handleRedo);
+
+    const depthSelect = document.getElementById('historyDepthSelect');
+    const savedLimit = localStorage.getItem(HISTORY_LIMIT_KEY);
+    if (savedLimit) {
+        setHistoryLimit(savedLimit);
+    }
+    if (depthSelect) {
+        depthSelect.value = String(state.historyLimit);
+        depthSelect.addEventListener('change', () => {
+            setHistoryLimit(depthSelect.value);
+            localStorage.setItem(HISTORY_LIMIT_KEY, String(state.historyLimit));
+        });
+    }
+
+    document.querySelectorAll('.tool-btn').forEach((btn) => {
+        btn.addEventListener('click', () => setActiveTool(btn.dataset.tool));
+    });
+
+    const shapeFilledToggle = document.getElementById('shapeFilledToggle');
+    shapeFilledToggle?.addEventListener('change', () => {
+        state.shapeFilled = shapeFilledToggle.checked;
+    });
+
+    const connectivitySelect = document.getElementById('fillConnectivitySelect');
+    connectivitySelect?.addEventListener('change', () => {
+        state.fillConnectivity = parseInt(connectivitySelect.value, 10) === 8 ? 8 : 4;
+    });
+    const globalToggle = document.getElementById('fillGlobalToggle');
+    globalToggle?.addEventListener('change', () => {
+        state.fillGlobal = globalToggle.checked;
+    });
+
+    document.getElementById('symmetryModeSelect')?.addEventListener('change', handleSymmetryChange);
+    document.getElementById('symmetryAxisColInput')?.addEventListener('change', handleSymmetryChange);
+    document.getElementById('symmetryAxisRowInput')?.addEventListener('change', handleSymmetryChange);
+
+    document.getElementById('copySelectionBtn')?.addEventListener('click', copySelection);
+    document.getElementById('cutSelectionBtn')?.addEventListener('click', handleCut);
+    document.getElementById('pasteSelectionBtn')?.addEventListener('click', handlePaste);
+    document.getElementById('stampSelectionBtn')?.addEventListener('click', handleStamp);
+    document.getElementById('deselectBtn')?.addEventListener('click', handleDeselect);
+    document.getElementById('placeTextBtn')?.addEventListener('click', handlePlaceText);
+
+    onHistoryChange(updateHistoryButtons);
+    updateHistoryButtons();
+
+    document.addEventListener('keydown', handleEditorShortcut);
+}
+
+/**
+ * Undo the last change and refresh the editor
+ */
+export function handleUndo() {
+    // A floating selection is an edit in progress; cancel it before stepping back
+    cancelFloatingSelection();
+    const command = undo();
+    if (!command) return;
+    refreshEditor();
+    showNotification(`Undid: ${command.label}`, 'info', 1500);
+}
+
+/**
+ * Redo the last undone change and refresh the editor
+ */
+export function handleRedo() {
+    cancelFloatingSelection();
+    const command = redo();
+    if (!command) return;
+    refreshEditor();
+    showNotification(`Redid: ${command.label}`, 'info', 1500);
+}
+
+/**
+ * Switch the active drawing tool and update toolbar state
+ * @param {string} tool - Tool name ('paint', 'select', 'line', 'rectangle', 'ellipse', 'fill', 'eyedropper', 'replace')
+ */
+export function setActiveTool(tool) {
+    if (tool !== 'select' && dropFloatingSelection()) {
+        renderGrid();
+        updateExport();
+    }
+    state.activeTool = tool;
+
+    document.querySelectorAll('.tool-btn').forEach((btn) => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+
+    const selectionOptions = document.getElementById('selectionOptions');
+    if (selectionOptions) {
+        selectionOptions.style.display = tool === 'select' ? 'flex' : 'none';
+    }
+
+    const shapeOptions = document.getElementById('shapeOptions');
+    if (shapeOptions) {
+        shapeOptions.style.display = tool === 'rectangle' || tool === 'ellipse' ? 'flex' : 'none';
+    }
+
+    const fillOptions = document.getElementById('fillOptions');
+    if (fillOptions) {
+        fillOptions.style.display = tool === 'fill' ? 'flex' : 'none';
+    }
+
+    const replaceOptions = document.getElementById('replaceOptions');
+    if (replaceOptions) {
+        replaceOptions.style.display = tool === 'replace' ? 'flex' : 'none';
+        if (tool === 'replace') renderReplaceOptions();
+    }
+
+    const textOptions = document.getElementById('textOptions');
+    if (textOptions) {
+        textOptions.style.display = tool === 'text' ? 'flex' : 'none';
+        if (tool === 'text') document.getElementById('textInput')?.focus();
+    }
+    if (tool !== 'text') clearGridPreview();
+}
+
+/**
+ * Apply the symmetry controls and redraw the axis guides
+ * Axis inputs are 1-based cell positions; blank means the grid center.
+ */
+export function handleSymmetryChange() {
+    const mode = document.getElementById('symmetryModeSelect')?.value || 'none';
+    const colValue = document.getElementById('symmetryAxisColInput')?.value;
+    const rowValue = document.getElementById('symmetryAxisRowInput')?.value;
+
+    setSymmetryMode(mode);
+    setSymmetryAxes(
+        colValue === '' || colValue === undefined ? null : parseFloat(colValue) - 1,
+        rowValue === '' || rowValue === undefined ? null : parseFloat(rowValue) - 1,
+    );
+
+    const axisInputs = document.getElementById('symmetryAxisInputs');
+    if (axisInputs) {
+        axisInputs.style.display = state.symmetry.mode === 'none' ? 'none' : 'inline-flex';
+    }
+    renderGrid();
+}
+
+/**
+ * Center the typed text on the grid, fitting the grid to it if enabled
+ */
+export function handlePlaceText() {
+    if (placeText()) {
+        syncGridBounds();
+        renderGrid();
+        updateExport();
+    }
+}
+
+/**
+ * Cut the selection to the clipboard
+ */
+export function handleCut() {
+    if (cutSelection()) {
+        refreshEditor();
+    } else {
+        renderSelectionOverlay();
+    }
+}
+
+/**
+ * Paste the clipboard as a floating selection that can be dragged
+ */
+export async function handlePaste() {
+    if (state.activeTool !== 'select') {
+        setActiveTool('select');
+    }
+    if (await pasteClipboard()) {
+        refreshEditor();
+        showNotification('Drag to position, then Stamp or press Enter.', 'info', 2000);
+    }
+}
+
+/**
+ * Stamp the floating selection and keep it floating for repeats
+ */
+export function handleStamp() {
+    if (!state.floatingSelection) {
+        showNotification('Copy and paste a selection to stamp it.', 'info');
+        return;
+    }
+    stampFloatingSelection();
+    refreshEditor();
+}
+
+/**
+ * Drop any floating cells and clear the selection
+ */
+export function handleDeselect() {
+    clearSelection();
+    refreshEditor();
+}
+
+/**
+ * Re-render everything that depends on the design
+ */
+export function refreshEditor() {
+    syncGridSizeInputs();
+    renderPalette();
+    renderGrid();
+    updateExport();
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+
+    if (undoBtn) {
+        undoBtn.disabled = !canUndo();
+        undoBtn.title = canUndo()
+            ? `Undo ${state.undoStack[state.undoStack.length - 1].label} (Ctrl+Z)`
+            : 'Undo (Ctrl+Z)';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !canRedo();
+        redoBtn.title = canRedo()
+            ? `Redo ${state.redoStack[state.redoStack.length - 1].label} (Ctrl+Shift+Z)`
+            : 'Redo (Ctrl+Shift+Z)';
+    }
+}
+
+/**
+ * Keyboard shortcuts, ignored while typing in form fields
+ * @param {KeyboardEvent} e
+ */
+function handleEditorShortcut(e) {
+    if (isTypingTarget(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    const mod = e.ctrlKey || e.metaKey;
+
+    if (mod && key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+    } else if (mod && ((key === 'z' && e.shiftKey) || key === 'y')) {
+        e.preventDefault();
+        handleRedo();
+    } else if (mod && key === 'c' && (state.selection || state.floatingSelection)) {
+        e.preventDefault();
+        copySelection();
+    } else if (mod && key === 'x' && (state.selection || state.floatingSelection)) {
+        e.preventDefault();
+        handleCut();
+    } else if (mod && key === 'v') {
+        e.preventDefault();
+        handlePaste();
+    } else if (mod && key === 'a') {
+        e.preventDefault();
+        setActiveTool('select');
+        selectAll();
+        refreshEditor();
+    } else if (key === 'enter' && state.floatingSelection) {
+        e.preventDefault();
+        dropFloatingSelection();
+        refreshEditor();
+    } else if (key === 'escape' && (state.selection || state.floatingSelection)) {
+        cancelFloatingSelection();
+        clearSelection();
+        refreshEditor();
+    } else if ((key === 'delete' || key === 'backspace') && state.selection && !state.floatingSelection) {
+        e.preventDefault();
+        deleteSelection();
+        refreshEditor();
+    } else if (!mod && !e.altKey && TOOL_SHORTCUTS[key]) {
+        // Keep the key from being typed into the text tool input it may focus
+        e.preventDefault();
+        setActiveTool(TOOL_SHORTCUTS[key]);
+    }
+}
+
+function isTypingTarget(target) {
+    if (!target) return false;
+    const tag = target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
+
+export default { initEditorToolbar };
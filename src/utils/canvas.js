@@ -0,0 +1,76 @@
+/**
+ * @file canvas.js
+ * @description Canvas drawing, redraw scheduling and file download helpers
+ * shared by the preview panels
+ */
+
+import { showNotification } from './notifications.js';
+
+/**
+ * Save a blob as a file through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Save a canvas as a PNG file
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} filename
+ * @param {string} successMsg - Shown once the download starts
+ */
+export function downloadCanvas(canvas, filename, successMsg) {
+    canvas.toBlob((blob) => {
+        if (!blob) {
+            showNotification('Could not create the image.', 'error');
+            return;
+        }
+        downloadBlob(blob, filename);
+        showNotification(successMsg, 'success');
+    }, 'image/png');
+}
+
+/**
+ * Trace a rounded rectangle as the current path
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ */
+export function roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+/**
+ * Wrap a redraw so calls within one animation frame run it once
+ * Does nothing where requestAnimationFrame is unavailable.
+ * @param {Function} redraw
+ * @returns {Function} Schedules the redraw for the next frame
+ */
+export function onNextFrame(redraw) {
+    let frame = null;
+    return () => {
+        if (frame !== null || typeof requestAnimationFrame === 'undefined') return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            redraw();
+        });
+    };
+}
@@ -147,3 +147,116 @@ export function getColorName(hex) {
 
     return colorNames[closest] || '';
 }
+
+/**
+ * Pick black or white text for readability on a background color
+ * @param {string} hex - Background hex color
+ * @returns {string} '#000000' or '#ffffff'
+ */
+export function getContrastColor(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    // Perceived brightness (ITU-R BT.601 weights)
+    const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+    return brightness > 150 ? '#000000' : '#ffffff';
+}
+
+/**
+ * Mix a color toward white or black
+ * @param {string} hex - Hex color string
+ * @param {number} amount - -1 (black) to 1 (white); 0 leaves the color unchanged
+ * @returns {string} CSS rgb() color string
+ */
+export function shadeColor(hex, amount) {
+    const { r, g, b } = hexToRgb(hex);
+    const target = amount > 0 ? 255 : 0;
+    const mix = (v) => Math.round(v + (target - v) * Math.abs(amount));
+    return `rgb(${mix(r)}, ${mix(g)}, ${mix(b)})`;
+}
+
+/**
+ * Convert hexadecimal color to CIE L*a*b* (D65 white point)
+ * @param {string} hex - Hex color string
+ * @returns {Object} Lab object {l, a, b}
+ */
+export function hexToLab(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    // sRGB → linear RGB → XYZ, relative to the D65 white
+    const linear = (v) => {
+        const c = v / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const lr = linear(r);
+    const lg = linear(g);
+    const lb = linear(b);
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * Perceptual distance between two colors (CIEDE2000)
+ * About 1 is the smallest difference most people notice; above 10 the
+ * colors look clearly different.
+ * @param {Object} lab1 - Lab object {l, a, b}
+ * @param {Object} lab2 - Lab object {l, a, b}
+ * @returns {number} ΔE00
+ */
+export function deltaE(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const c1 = Math.hypot(lab1.a, lab1.b);
+    const c2 = Math.hypot(lab2.a, lab2.b);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+    const a1 = lab1.a * (1 + g);
+    const a2 = lab2.a * (1 + g);
+    const cp1 = Math.hypot(a1, lab1.b);
+    const cp2 = Math.hypot(a2, lab2.b);
+    const hue = (bv, av) => (bv === 0 && av === 0 ? 0 : (Math.atan2(bv, av) / rad + 360) % 360);
+    const hp1 = hue(lab1.b, a1);
+    const hp2 = hue(lab2.b, a2);
+
+    const dL = lab2.l - lab1.l;
+    const dC = cp2 - cp1;
+    let dh = 0;
+    if (cp1 * cp2 !== 0) {
+        dh = hp2 - hp1;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin((dh / 2) * rad);
+
+    const lMean = (lab1.l + lab2.l) / 2;
+    const cpMean = (cp1 + cp2) / 2;
+    let hMean = hp1 + hp2;
+    if (cp1 * cp2 !== 0) {
+        hMean = Math.abs(hp1 - hp2) > 180
+            ? (hp1 + hp2 + (hp1 + hp2 < 360 ? 360 : -360)) / 2
+            : (hp1 + hp2) / 2;
+    }
+
+    const t = 1
+        - 0.17 * Math.cos((hMean - 30) * rad)
+        + 0.24 * Math.cos(2 * hMean * rad)
+        + 0.32 * Math.cos((3 * hMean + 6) * rad)
+        - 0.2 * Math.cos((4 * hMean - 63) * rad);
+    const sl = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+    const sc = 1 + 0.045 * cpMean;
+    const sh = 1 + 0.015 * cpMean * t;
+    const cpMean7 = Math.pow(cpMean, 7);
+    const rt = -2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7)))
+        * Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * rad);
+
+    return Math.sqrt(
+        Math.pow(dL / sl, 2)
+        + Math.pow(dC / sc, 2)
+        + Math.pow(dH / sh, 2)
+        + rt * (dC / sc) * (dH / sh)
+    );
+}